@@ -0,0 +1,133 @@
+// Canonical checks for sitemap URLs: a sitemap should only list the canonical version of a page
+// See https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls
+
+const cheerio = require('cheerio');
+const { isRedirectStatus } = require('./redirects');
+
+/**
+ * Normalizes a URL for canonical comparison: resolved against the page and without fragment
+ * @param {string} href - URL as written in the page or header
+ * @param {string} baseUrl - Page URL used to resolve relative canonicals
+ * @returns {string|null} - Absolute URL, or null if it cannot be parsed
+ */
+function toCanonicalHref(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses the rel="canonical" targets of a Link response header
+ * @param {string} linkHeader - Link header, e.g. <https://example.com/a>; rel="canonical"
+ * @returns {Array<string>} - Target URLs as written
+ */
+function parseCanonicalLinkHeader(linkHeader) {
+  if (!linkHeader) return [];
+  const targets = [];
+  // Links are separated by commas, but URLs may contain commas too: only split before a "<"
+  for (const link of String(linkHeader).split(/,(?=\s*<)/)) {
+    const match = /<([^>]*)>(.*)/.exec(link);
+    if (!match) continue;
+    const relMatch = /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(match[2]);
+    if (relMatch && relMatch[1].toLowerCase().split(/\s+/).includes('canonical')) {
+      targets.push(match[1].trim());
+    }
+  }
+  return targets;
+}
+
+/**
+ * Extracts the canonicals declared by a page in its HTML and in its Link header
+ * @param {string} html - Page HTML (empty for non-HTML responses)
+ * @param {string} linkHeader - Link response header, if any
+ * @param {string} pageUrl - URL of the page
+ * @returns {Array<Object>} - Canonicals as { href, source }, source being 'HTML' or 'HTTP header'
+ */
+function extractCanonicals(html, linkHeader, pageUrl) {
+  const canonicals = [];
+  for (const target of parseCanonicalLinkHeader(linkHeader)) {
+    canonicals.push({ href: toCanonicalHref(target, pageUrl), source: 'HTTP header' });
+  }
+  if (html) {
+    const $ = cheerio.load(html);
+    $('link[rel]').each((i, element) => {
+      const rel = ($(element).attr('rel') || '').toLowerCase().split(/\s+/);
+      if (rel.includes('canonical')) {
+        canonicals.push({ href: toCanonicalHref($(element).attr('href') || '', pageUrl), source: 'HTML' });
+      }
+    });
+  }
+  return canonicals;
+}
+
+/**
+ * Analyses the canonical of a sitemap URL
+ * @param {string} pageUrl - URL listed in the sitemap
+ * @param {Array<Object>|null} canonicals - Canonicals returned by extractCanonicals, or null if
+ *   the page could not be fetched
+ * @param {Map<string, Object>} statusByUrl - Status check results ({ status, redirectUrl }) by URL
+ * @param {Set<string>} sitemapUrls - URLs listed in the sitemap
+ * @returns {Object} - { canonicalUrl, source, issues, redundant, targetStatus }: redundant is
+ *   true when the page canonicalizes to another URL of the sitemap, targetStatus is the status
+ *   of that other URL
+ */
+function analyzeCanonical(pageUrl, canonicals, statusByUrl, sitemapUrls) {
+  if (canonicals === null) {
+    return { canonicalUrl: '', source: '', issues: ['Page could not be fetched'], redundant: false };
+  }
+  if (canonicals.length === 0) {
+    return { canonicalUrl: '', source: '', issues: ['Missing canonical'], redundant: false };
+  }
+
+  const issues = [];
+  if (canonicals.some((canonical) => !canonical.href)) {
+    issues.push('Invalid canonical URL');
+  }
+  const targets = Array.from(new Set(canonicals.map((canonical) => canonical.href).filter(Boolean)));
+  if (targets.length > 1) {
+    // Google ignores all of them when they disagree
+    issues.push(`Multiple conflicting canonicals: ${targets.join(' | ')}`);
+    return {
+      canonicalUrl: '',
+      source: Array.from(new Set(canonicals.map((canonical) => canonical.source))).join(' + '),
+      issues,
+      redundant: false,
+    };
+  }
+  if (targets.length === 0) {
+    return { canonicalUrl: '', source: canonicals[0].source, issues, redundant: false };
+  }
+
+  const canonicalUrl = targets[0];
+  const source = Array.from(
+    new Set(canonicals.filter((canonical) => canonical.href === canonicalUrl).map((canonical) => canonical.source))
+  ).join(' + ');
+  if (canonicalUrl === toCanonicalHref(pageUrl, pageUrl)) {
+    return { canonicalUrl, source, issues, redundant: false };
+  }
+
+  issues.push('Canonical points to another URL');
+  const result = statusByUrl.get(canonicalUrl);
+  if (result && isRedirectStatus(result.status)) {
+    issues.push(`Canonical target redirects (${result.status})`);
+  } else if (result && result.status !== 200) {
+    issues.push(`Canonical target not OK (${result.status || result.errorCategory})`);
+  }
+
+  const redundant = sitemapUrls.has(canonicalUrl);
+  if (!redundant) {
+    issues.push('Canonical target missing from sitemap');
+  }
+  return { canonicalUrl, source, issues, redundant, targetStatus: result ? result.status : '' };
+}
+
+module.exports = {
+  toCanonicalHref,
+  parseCanonicalLinkHeader,
+  extractCanonicals,
+  analyzeCanonical,
+};
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const sitemapConfig = require('./sitemapconfig');
+const { getRedirectType } = require('./redirects');
 
 /**
  * Default runbook URL for sitemap opportunities
@@ -100,6 +101,7 @@ function formatSuggestions(suggestions, opportunityId, sitemapUrl) {
         error: null,
         urlsSuggested: suggestion.urlSuggested,
         statusCode: parseInt(suggestion.status, 10),
+        redirectType: suggestion.redirectType || getRedirectType(suggestion.status) || null,
       },
       createdAt: now,
       updatedAt: now,
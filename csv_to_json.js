@@ -2,6 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
 const { sitemapUrls, sitemaps } = require('./sitemapconfig'); // Import sitemap URLs from config
+const { isRedirectStatus, getRedirectType } = require('./redirects');
+const { isSummaryRow } = require('./sitemap');
 
 /**
  * Find the closest matching URL for a 404 error
@@ -80,15 +82,7 @@ function findSimilarUrl(notFoundUrl, validUrls) {
  * @returns {boolean} - True if row contains data and not a summary
  */
 function isDataRow(row) {
-  return (
-    row.URL &&
-    !row.URL.includes('Total URLs Checked:') &&
-    !row.URL.includes('Successful (200):') &&
-    !row.URL.includes('Redirects:') &&
-    !row.URL.includes('Errors:') &&
-    !row.URL.includes('Not OK Percentage:') &&
-    !row.URL.includes('Redundant URLs:')
-  );
+  return Boolean(row.URL) && !isSummaryRow(row.URL);
 }
 
 /**
@@ -149,15 +143,15 @@ async function parseCSVData(csvFilePath) {
             validUrls.push(row.URL);
           }
 
-          // Collect issues (301, 302, 404)
-          if (['301', '302', '404'].includes(row.Status)) {
+          // Collect issues (301, 302, 303, 307, 308 and 404)
+          if (isRedirectStatus(row.Status) || row.Status === '404') {
             issues.push(row);
           }
         }
       })
       .on('end', () => {
         console.log(
-          `Found ${issues.length} issues (301, 302, and 404) in the CSV file`
+          `Found ${issues.length} issues (redirects and 404s) in the CSV file`
         );
         resolve({ validUrls, allUrls, issues });
       })
@@ -175,7 +169,10 @@ async function parseCSVData(csvFilePath) {
  */
 function createSuggestions(issues, validUrls) {
   return issues.map((issue) => {
-    let urlSuggested = issue['Redirect URL'] || '';
+    // Prefer the end of the redirect chain over its first hop
+    let urlSuggested = isRedirectStatus(issue.Status)
+      ? issue['URL Suggested'] || issue['Redirect URL'] || ''
+      : issue['Redirect URL'] || '';
 
     // For 404s, try to suggest a similar URL
     if (issue.Status === '404' && !urlSuggested) {
@@ -185,6 +182,7 @@ function createSuggestions(issues, validUrls) {
     return {
       url: issue.URL,
       status: issue.Status,
+      redirectType: getRedirectType(issue.Status) || null,
       urlSuggested: urlSuggested,
     };
   });
@@ -232,7 +230,7 @@ async function convertCsvToJson(csvFilePath, sitemapIndex = 0) {
     const { validUrls, issues } = await parseCSVData(csvFilePath);
 
     if (issues.length === 0) {
-      console.warn('No issues (301, 302, or 404) found in the CSV file');
+      console.warn('No issues (redirects or 404s) found in the CSV file');
       return null;
     }
 
@@ -0,0 +1,151 @@
+// Analysis of hreflang alternates declared in sitemaps with <xhtml:link rel="alternate">
+// See https://developers.google.com/search/docs/specialty/international/localized-versions#sitemap
+
+const languageNames = new Intl.DisplayNames(['en'], {
+  type: 'language',
+  fallback: 'none',
+});
+const regionNames = new Intl.DisplayNames(['en'], {
+  type: 'region',
+  fallback: 'none',
+});
+
+// Codes ICU accepts as aliases but which are not ISO 3166-1 Alpha 2 (en-UK should be en-GB)
+const NON_ISO_REGIONS = ['UK', 'EU', 'UN', 'EZ', 'QO'];
+
+/**
+ * Extracts the hreflang alternates of an xml2js <url> entry
+ * @param {Object} urlNode - xml2js node of a <url> entry
+ * @returns {Array<Object>} - Alternates as { hreflang, href }
+ */
+function extractAlternates(urlNode) {
+  const links = Object.keys(urlNode)
+    .filter((key) => key.split(':').pop() === 'link' && key.includes(':'))
+    .flatMap((key) => urlNode[key]);
+
+  return links
+    .map((link) => (link && link.$) || {})
+    .filter((attrs) => (attrs.rel || '').toLowerCase() === 'alternate' && attrs.hreflang)
+    .map((attrs) => ({
+      hreflang: attrs.hreflang.trim(),
+      href: (attrs.href || '').trim(),
+    }));
+}
+
+/**
+ * Checks an hreflang value: x-default, an ISO 639-1 language, optionally followed by an
+ * ISO 15924 script and/or an ISO 3166-1 Alpha 2 region
+ * @param {string} hreflang - Value of the hreflang attribute
+ * @returns {string} - Reason the value is invalid, or empty string if valid
+ */
+function getHreflangCodeError(hreflang) {
+  if (hreflang.toLowerCase() === 'x-default') return '';
+
+  const match = /^([a-z]{2})(?:-([a-z]{4}))?(?:-([a-z0-9]+))?$/i.exec(hreflang);
+  if (!match) {
+    return 'Invalid hreflang format';
+  }
+  const [, language, , region] = match;
+  if (!languageNames.of(language.toLowerCase())) {
+    return `Unknown language code "${language}"`;
+  }
+  if (region) {
+    const upperRegion = region.toUpperCase();
+    if (
+      !/^[A-Z]{2}$/.test(upperRegion) ||
+      NON_ISO_REGIONS.includes(upperRegion) ||
+      !regionNames.of(upperRegion)
+    ) {
+      return `Unknown region code "${region}"`;
+    }
+  }
+  return '';
+}
+
+/**
+ * Analyses the hreflang clusters of a sitemap
+ * @param {Array<Object>} entries - Sitemap entries as { loc, alternates }
+ * @param {Map<string, Object>} statusByUrl - Status check results ({ status, redirectUrl }) by URL
+ * @param {Set<string>} sitemapUrls - Every URL of the sitemap, when `entries` only holds the
+ *   entries declaring alternates (defaults to the locs of `entries`)
+ * @returns {Array<Object>} - Findings as { url, hreflang, alternateUrl, alternateStatus, issue }
+ */
+function analyzeHreflang(entries, statusByUrl, sitemapUrls = new Set(entries.map((entry) => entry.loc))) {
+  const findings = [];
+  const alternatesByUrl = new Map();
+  for (const entry of entries) {
+    if (entry.alternates && entry.alternates.length > 0 && !alternatesByUrl.has(entry.loc)) {
+      alternatesByUrl.set(entry.loc, entry.alternates);
+    }
+  }
+
+  for (const [url, alternates] of alternatesByUrl.entries()) {
+    const addFinding = (alternate, issue) => {
+      const result = alternate ? statusByUrl.get(alternate.href) : null;
+      findings.push({
+        url,
+        hreflang: alternate ? alternate.hreflang : '',
+        alternateUrl: alternate ? alternate.href : '',
+        alternateStatus: result ? result.status : '',
+        issue,
+      });
+    };
+
+    // Duplicate languages: the same hreflang pointing to different URLs
+    const hrefsByLang = new Map();
+    for (const alternate of alternates) {
+      const lang = alternate.hreflang.toLowerCase();
+      hrefsByLang.set(lang, [...(hrefsByLang.get(lang) || []), alternate]);
+    }
+    for (const sameLang of hrefsByLang.values()) {
+      if (new Set(sameLang.map((alternate) => alternate.href)).size > 1) {
+        sameLang.forEach((alternate) => addFinding(alternate, 'Duplicate hreflang in cluster'));
+      }
+    }
+
+    if (!hrefsByLang.has('x-default')) {
+      addFinding(null, 'Missing x-default');
+    }
+
+    if (!alternates.some((alternate) => alternate.href === url)) {
+      addFinding(null, 'Missing self-referencing alternate');
+    }
+
+    for (const alternate of alternates) {
+      if (!alternate.href) {
+        addFinding(alternate, 'Missing href');
+        continue;
+      }
+
+      const codeError = getHreflangCodeError(alternate.hreflang);
+      if (codeError) {
+        addFinding(alternate, codeError);
+      }
+
+      const result = statusByUrl.get(alternate.href);
+      if (result && result.status !== 200) {
+        addFinding(alternate, 'Alternate URL not OK');
+      }
+
+      if (alternate.href === url) continue;
+
+      // Return links: the alternate must declare this URL as one of its own alternates
+      if (!sitemapUrls.has(alternate.href)) {
+        addFinding(alternate, 'Alternate URL not in sitemap (return link cannot be verified)');
+      } else {
+        const returnLinks = alternatesByUrl.get(alternate.href) || [];
+        if (!returnLinks.some((link) => link.href === url)) {
+          addFinding(alternate, 'Missing return link');
+        }
+      }
+    }
+  }
+
+  return findings;
+}
+
+module.exports = {
+  extractAlternates,
+  getHreflangCodeError,
+  analyzeHreflang,
+};
@@ -0,0 +1,100 @@
+// Classification of request failures that never got an HTTP response
+// (DNS, TLS, timeouts, refused or reset connections, invalid URLs)
+
+const NETWORK_ERROR_CATEGORY = {
+  DNS: 'DNS Failure',
+  TIMEOUT: 'Timeout',
+  CONNECTION_REFUSED: 'Connection Refused',
+  CONNECTION_RESET: 'Connection Reset',
+  HOST_UNREACHABLE: 'Host Unreachable',
+  TLS: 'TLS/Certificate Error',
+  INVALID_URL: 'Invalid URL',
+  OTHER: 'Other Network Error',
+};
+
+const CATEGORY_BY_CODE = {
+  ENOTFOUND: NETWORK_ERROR_CATEGORY.DNS,
+  EAI_AGAIN: NETWORK_ERROR_CATEGORY.DNS,
+  EAI_FAIL: NETWORK_ERROR_CATEGORY.DNS,
+  EAI_NONAME: NETWORK_ERROR_CATEGORY.DNS,
+  ETIMEDOUT: NETWORK_ERROR_CATEGORY.TIMEOUT,
+  ESOCKETTIMEDOUT: NETWORK_ERROR_CATEGORY.TIMEOUT,
+  // axios reports its own timeout as ECONNABORTED
+  ECONNABORTED: NETWORK_ERROR_CATEGORY.TIMEOUT,
+  ECONNREFUSED: NETWORK_ERROR_CATEGORY.CONNECTION_REFUSED,
+  ECONNRESET: NETWORK_ERROR_CATEGORY.CONNECTION_RESET,
+  EPIPE: NETWORK_ERROR_CATEGORY.CONNECTION_RESET,
+  EHOSTUNREACH: NETWORK_ERROR_CATEGORY.HOST_UNREACHABLE,
+  EHOSTDOWN: NETWORK_ERROR_CATEGORY.HOST_UNREACHABLE,
+  ENETUNREACH: NETWORK_ERROR_CATEGORY.HOST_UNREACHABLE,
+  ENETDOWN: NETWORK_ERROR_CATEGORY.HOST_UNREACHABLE,
+  EPROTO: NETWORK_ERROR_CATEGORY.TLS,
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: NETWORK_ERROR_CATEGORY.TLS,
+  UNABLE_TO_GET_ISSUER_CERT: NETWORK_ERROR_CATEGORY.TLS,
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: NETWORK_ERROR_CATEGORY.TLS,
+  DEPTH_ZERO_SELF_SIGNED_CERT: NETWORK_ERROR_CATEGORY.TLS,
+  SELF_SIGNED_CERT_IN_CHAIN: NETWORK_ERROR_CATEGORY.TLS,
+  ERR_INVALID_URL: NETWORK_ERROR_CATEGORY.INVALID_URL,
+  ERR_INVALID_PROTOCOL: NETWORK_ERROR_CATEGORY.INVALID_URL,
+  ERR_UNESCAPED_CHARACTERS: NETWORK_ERROR_CATEGORY.INVALID_URL,
+};
+
+// OpenSSL certificate codes (CERT_HAS_EXPIRED, CERT_NOT_YET_VALID...) and Node TLS/SSL codes
+const TLS_CODE_PATTERN = /^(CERT_|ERR_TLS_|ERR_SSL_)/;
+
+/**
+ * Classifies an error thrown by a request that got no HTTP response
+ * @param {Error} error - Error thrown by axios or Node
+ * @returns {Object} - { category, code, message }: category is one of NETWORK_ERROR_CATEGORY,
+ *   code is the underlying error code (ENOTFOUND, CERT_HAS_EXPIRED...) or 'UNKNOWN'
+ */
+function classifyNetworkError(error) {
+  const code = error.code || (error.cause && error.cause.code) || 'UNKNOWN';
+  const message = error.message || String(error);
+
+  let category = CATEGORY_BY_CODE[code];
+  if (!category && TLS_CODE_PATTERN.test(code)) {
+    category = NETWORK_ERROR_CATEGORY.TLS;
+  }
+  // axios rejects unsupported protocols and malformed URLs before connecting
+  if (!category && /unsupported protocol|invalid url/i.test(message)) {
+    category = NETWORK_ERROR_CATEGORY.INVALID_URL;
+  }
+
+  return { category: category || NETWORK_ERROR_CATEGORY.OTHER, code, message };
+}
+
+/**
+ * Counts results per network error category
+ * @param {Array<Object>} results - Results carrying an `errorCategory` for network errors
+ * @returns {Object} - Number of results for each category found, e.g. { 'DNS Failure': 2 }
+ */
+function countNetworkErrors(results) {
+  const counts = {};
+  for (const result of results) {
+    if (result.errorCategory) {
+      counts[result.errorCategory] = (counts[result.errorCategory] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Adds per-category counts into a running total
+ * @param {Object} total - Counts per category, updated in place
+ * @param {Object} counts - Counts per category to add
+ * @returns {Object} - The updated total
+ */
+function addNetworkErrorCounts(total, counts = {}) {
+  for (const [category, count] of Object.entries(counts)) {
+    total[category] = (total[category] || 0) + count;
+  }
+  return total;
+}
+
+module.exports = {
+  NETWORK_ERROR_CATEGORY,
+  classifyNetworkError,
+  countNetworkErrors,
+  addNetworkErrorCounts,
+};
@@ -1,97 +1,119 @@
 const axios = require('axios');
-const xml2js = require('xml2js');
-const cheerio = require('cheerio'); // For parsing HTML
 const fs = require('fs');
 const path = require('path');
-const { sitemapUrls } = require('./sitemapconfig'); // Import sitemap URLs from config
-
-// Function to check if a URL is from wilson.com
-function isWilsonUrl(url) {
-  return url.includes('wilson.com');
-}
+const { sitemaps, proxy } = require('./sitemapconfig'); // Import sitemaps and the global proxy from config
+const {
+  decodeSitemapStream,
+  loadSitemap,
+  formatBytes,
+  isLocalSitemap,
+  openLocalSitemap,
+  resolveChildSitemapUrl,
+  rewriteUrlOrigin,
+  resolveSitemapsToCheck,
+} = require('./sitemap_loader');
+const { discoverSitemaps } = require('./robots_txt');
+const { getRobotsDirectives } = require('./robots_directives');
+const { classifyNetworkError } = require('./network_errors');
+const { createRequestSettings } = require('./request_settings');
+const { timedRequest, formatPercentiles, getResponseTimeStats } = require('./response_timing');
+const { parseUserAgentArgs } = require('./user_agents');
+
+// Crawler whose bot-specific meta tags and X-Robots-Tag directives apply on top of the generic ones
+const CRAWLER_NAME = 'googlebot';
+
+const SLOW_URL_THRESHOLD = 2000; // Total time (ms) above which a URL is listed as slow
+const DISCOVERY_TIMEOUT = 5000; // Timeout of the robots.txt requests made to discover sitemaps
+const MAX_SITEMAP_DEPTH = 3; // Maximum nesting depth of sitemap indexes
+
+// User-agent profile of every request (see user_agents.js), overridden by --user-agent=<profile>
+const USER_AGENT_PROFILE = 'desktop-browser';
+const { profile: userAgentProfile } = parseUserAgentArgs(process.argv.slice(2), USER_AGENT_PROFILE);
+
+// Headers, cookies, user agent, basic auth and proxy declared in sitemapconfig.js
+const requestSettings = createRequestSettings(sitemaps, { proxy });
 
 // Function to fetch XML from a given URL
 async function fetchXml(url) {
   try {
-    // Configure request options
-    const requestOptions = {};
-
-    // Add special header for Wilson.com
-    if (isWilsonUrl(url)) {
-      console.log('Adding special header for Wilson.com request');
-      requestOptions.headers = {
-        eds_process: 'special-wilson-header',
-      };
+    // Local sitemaps (pre-deployment validation) are streamed from disk
+    if (isLocalSitemap(url)) {
+      return decodeSitemapStream(url, await openLocalSitemap(url), '');
     }
 
+    // Configure request options, with the headers, cookies and auth configured for the site
+    // Stream the raw bytes so large sitemaps are parsed as they arrive, and gzip-compressed
+    // sitemaps (.xml.gz) are decompressed on the fly
+    const requestOptions = requestSettings.applySiteSettings(url, {
+      headers: {
+        'User-Agent': userAgentProfile.userAgent,
+      },
+      responseType: 'stream',
+    });
+
     const response = await axios.get(url, requestOptions);
-    return response.data;
+    return decodeSitemapStream(url, response.data, response.headers['content-type']);
   } catch (error) {
     console.error(`Error fetching XML from ${url}: ${error.message}`);
-    process.exit(1);
-  }
-}
-
-// Function to parse the fetched XML
-async function parseXml(xml) {
-  const parser = new xml2js.Parser();
-  try {
-    return await parser.parseStringPromise(xml);
-  } catch (error) {
-    console.error(`Error parsing XML: ${error.message}`);
-    process.exit(1);
-  }
-}
-
-// Extract URLs from the sitemap XML
-async function getSitemapUrls(xmlContent) {
-  const parsedXml = await parseXml(xmlContent);
-
-  if (parsedXml.urlset && parsedXml.urlset.url) {
-    return parsedXml.urlset.url.map((url) => url.loc[0]);
-  } else {
-    throw new Error('Invalid XML format: No URLs found in the sitemap');
+    return null;
   }
 }
 
-// Function to fetch the HTML content of a page
+// Function to fetch a page: its HTML (if any) and the headers carrying X-Robots-Tag
 async function fetchPageContent(url) {
-  try {
-    // Configure request options
-    const requestOptions = {};
-
-    // Add special header for Wilson.com
-    if (isWilsonUrl(url)) {
-      requestOptions.headers = {
-        eds_process: 'special-wilson-header',
-      };
-    }
+  // Configure request options, with the headers, cookies, auth and proxy configured for the site
+  const requestOptions = requestSettings.applySiteSettings(url, {
+    headers: {
+      'User-Agent': userAgentProfile.userAgent,
+    },
+    // Raw bytes: PDFs and other non-HTML files are checked through their headers only
+    responseType: 'arraybuffer',
+  });
+  const proxyUsed = requestSettings.getProxyUsed(requestOptions);
 
-    const response = await axios.get(url, requestOptions);
-    return response.data;
+  try {
+    const response = await timedRequest('get', url, requestOptions);
+    const contentType = response.headers['content-type'] || '';
+    const isHtml = /html/i.test(contentType);
+    return {
+      html: isHtml ? Buffer.from(response.data).toString('utf-8') : '',
+      xRobotsTag: response.headers['x-robots-tag'] || '',
+      contentType: contentType.split(';')[0].trim(),
+      proxy: proxyUsed,
+      timing: response.timing,
+    };
   } catch (error) {
     console.error(`Error fetching page content for ${url}: ${error.message}`);
-    return null;
+    if (error.response) {
+      return { error: `HTTP ${error.response.status}`, proxy: proxyUsed, timing: error.timing };
+    }
+    const { category, code } = classifyNetworkError(error);
+    return { error: `${category} ${code}`, proxy: proxyUsed, timing: error.timing };
   }
 }
 
-// Function to check if the meta tags contain no-index or no-follow
-function checkMetaTags(html, url) {
-  const $ = cheerio.load(html);
-  const metaRobots = $('meta[name="robots"]').attr('content');
+// Function to check if the robots meta tags or X-Robots-Tag headers contain noindex or nofollow
+// All sources that apply to the crawler are merged and the most restrictive directive wins
+function checkMetaTags(page, url) {
+  const directives = getRobotsDirectives({
+    html: page.html,
+    xRobotsTag: page.xRobotsTag,
+    crawler: CRAWLER_NAME,
+  });
   const result = {
     url,
-    noIndex: false,
-    noFollow: false,
+    noIndex: directives.noIndex,
+    noFollow: directives.noFollow,
+    noIndexSource: directives.noIndexSources.join('|'),
+    noFollowSource: directives.noFollowSources.join('|'),
+    contentType: page.contentType,
+    proxy: page.proxy,
+    ttfb: page.timing ? page.timing.ttfb : '',
+    totalTime: page.timing ? page.timing.totalTime : '',
+    responseSize: page.timing ? page.timing.size : '',
     status: 'OK',
   };
 
-  if (metaRobots) {
-    const content = metaRobots.toLowerCase();
-    result.noIndex = content.includes('noindex');
-    result.noFollow = content.includes('nofollow');
-  }
-
   if (result.noIndex || result.noFollow) {
     result.status = 'Not OK';
   }
@@ -103,10 +125,18 @@ function checkMetaTags(html, url) {
 function getFormattedSitemapName(sitemapUrl) {
   const urlObj = new URL(sitemapUrl);
   let pathname = urlObj.pathname;
+  // Local sitemaps are named after the file only, not its full path on disk
+  if (isLocalSitemap(sitemapUrl)) {
+    pathname = path.basename(pathname);
+  }
   // Remove the leading slash if present
   if (pathname.startsWith('/')) {
     pathname = pathname.substring(1);
   }
+  // Remove the '.gz' extension of compressed sitemaps if present
+  if (pathname.endsWith('.gz')) {
+    pathname = pathname.slice(0, -3);
+  }
   // Remove the '.xml' extension if present
   if (pathname.endsWith('.xml')) {
     pathname = pathname.slice(0, -4);
@@ -122,9 +152,11 @@ function createResultsDirectory(sitemapUrl) {
     fs.mkdirSync(resultsDir);
   }
 
-  // Parse the sitemap URL to get the website name
+  // Parse the sitemap URL to get the website name (local sitemaps go to a "local" directory)
   const parsedUrl = new URL(sitemapUrl);
-  const domainName = parsedUrl.hostname.replace(/\./g, '_');
+  const domainName = isLocalSitemap(sitemapUrl)
+    ? 'local'
+    : parsedUrl.hostname.replace(/\./g, '_');
 
   // Directory for the specific website
   const siteResultsDir = path.join(resultsDir, domainName);
@@ -137,14 +169,22 @@ function createResultsDirectory(sitemapUrl) {
   return siteResultsDir;
 }
 
+// Function to compute a percentage of the URLs checked, guarding against empty sitemaps
+function getPercentage(count, totalUrls) {
+  return totalUrls > 0 ? ((count / totalUrls) * 100).toFixed(2) : '0.00';
+}
+
 // Function to save results and statistics to a CSV file (with timestamp in filename)
 function saveResultsToCsv(
   results,
   sitemapUrl,
   okCount,
   notOkCount,
+  fetchFailedCount,
   totalUrls,
-  resultsDir
+  resultsDir,
+  sitemapBody,
+  formatLabel
 ) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   // Use the formatted sitemap name instead of the basename only
@@ -155,93 +195,287 @@ function saveResultsToCsv(
   const csvContent = results
     .map(
       (result) =>
-        `${result.url},${result.noIndex},${result.noFollow},${result.status}`
+        `${result.url},${result.noIndex},${result.noFollow},${result.status},${result.noIndexSource},${result.noFollowSource},${result.contentType},${result.proxy},${result.ttfb},${result.totalTime},${result.responseSize}`
     )
     .join('\n');
 
   // Calculate percentages
-  const okPercentage = ((okCount / totalUrls) * 100).toFixed(2);
-  const notOkPercentage = ((notOkCount / totalUrls) * 100).toFixed(2);
+  const okPercentage = getPercentage(okCount, totalUrls);
+  const notOkPercentage = getPercentage(notOkCount, totalUrls);
+  const fetchFailedPercentage = getPercentage(fetchFailedCount, totalUrls);
+  const { ttfbValues, totalTimeValues, slowUrls } = getResponseTimeStats(results, SLOW_URL_THRESHOLD);
 
   // Adding summary at the end of the CSV file
   const summary =
     `\nTotal URLs Checked,${totalUrls}` +
     `\nTotal OK URLs,${okCount} (${okPercentage}%)` +
-    `\nTotal Not OK URLs,${notOkCount} (${notOkPercentage}%)`;
+    `\nTotal Not OK URLs,${notOkCount} (${notOkPercentage}%)` +
+    `\nTotal Fetch Failed URLs,${fetchFailedCount} (${fetchFailedPercentage}%)` +
+    `\nResponse Time TTFB p50 / p90 / p99 (ms),${formatPercentiles(ttfbValues)}` +
+    `\nResponse Time Total p50 / p90 / p99 (ms),${formatPercentiles(totalTimeValues)}` +
+    `\nSlow URLs (over ${SLOW_URL_THRESHOLD} ms),${slowUrls.length}` +
+    `\nSitemap Format,${formatLabel}` +
+    `\nSitemap Size (compressed),${formatBytes(sitemapBody.compressedSize)}` +
+    `\nSitemap Size (uncompressed),${formatBytes(sitemapBody.uncompressedSize)}`;
 
   fs.writeFileSync(
     filePath,
-    `URL,NoIndex,NoFollow,Status\n${csvContent}${summary}`,
+    `URL,NoIndex,NoFollow,Status,NoIndex Source,NoFollow Source,Content Type,Proxy,TTFB (ms),Total Time (ms),Response Size (bytes)\n${csvContent}${summary}`,
     'utf-8'
   );
   console.log(`Results saved to ${filePath}`);
 }
 
 // Function to process the sitemap, check meta tags, and save results with statistics
-async function processSitemap(sitemapUrl) {
+// Sitemap indexes are processed recursively; returns the totals, or null if the sitemap failed
+// Child sitemaps forming a cycle, already processed or nested too deep are skipped
+async function processSitemap(sitemapUrl, stagingOrigin = null, { depth = 0, ancestors = [], visited = new Set() } = {}) {
   console.log(`\nProcessing sitemap: ${sitemapUrl}\n`);
+  visited.add(sitemapUrl);
 
-  const sitemapXml = await fetchXml(sitemapUrl);
-  const urls = await getSitemapUrls(sitemapXml);
+  const sitemapBody = await fetchXml(sitemapUrl);
+  if (!sitemapBody) {
+    console.error(`Failed to fetch sitemap content from ${sitemapUrl}`);
+    return null;
+  }
 
   const results = [];
   let okCount = 0;
   let notOkCount = 0;
+  let fetchFailedCount = 0;
+
+  // Function to check the meta tags of one page and add its row
+  const checkPage = async (url) => {
+    const page = await fetchPageContent(url);
+
+    // Log the result for each URL with progress indicator
+    console.log(`URL [${(results.length + 1).toString().padStart(2, '0')}]: ${url}`);
+
+    // Pages that cannot be fetched get an explicit row instead of being left out
+    if (page.error) {
+      results.push({
+        url,
+        noIndex: '',
+        noFollow: '',
+        status: `Fetch failed (${page.error})`,
+        noIndexSource: '',
+        noFollowSource: '',
+        contentType: '',
+        proxy: page.proxy,
+        ttfb: page.timing ? page.timing.ttfb : '',
+        totalTime: page.timing ? page.timing.totalTime : '',
+        responseSize: page.timing ? page.timing.size : '',
+      });
+      console.log(`  ➤ Status: Fetch failed (${page.error})\n`);
+      fetchFailedCount++;
+      return;
+    }
 
-  // Create the results directory for the current website (without timestamp)
-  const resultsDir = createResultsDirectory(sitemapUrl);
+    const result = checkMetaTags(page, url);
+    results.push(result);
+
+    console.log(
+      `  ➤ NoIndex: ${result.noIndex}${result.noIndex ? ` (${result.noIndexSource})` : ''}`
+    );
+    console.log(
+      `  ➤ NoFollow: ${result.noFollow}${result.noFollow ? ` (${result.noFollowSource})` : ''}`
+    );
+    console.log(`  ➤ Status: ${result.status}\n`);
+
+    if (result.status === 'OK') {
+      okCount++;
+    } else {
+      notOkCount++;
+    }
+  };
+
+  // Pages are checked one at a time while the sitemap is streamed: the stream waits for
+  // the checks of each chunk before reading the next one
+  let pendingCheck = Promise.resolve();
+  let sitemapData;
+  try {
+    // Accepts XML sitemaps and indexes, RSS 2.0/Atom feeds and plain-text sitemaps
+    sitemapData = await loadSitemap(sitemapBody.content, {
+      onEntry: (loc) => {
+        // Check the pages on the staging origin instead of the live one if requested
+        const url = stagingOrigin ? rewriteUrlOrigin(loc, stagingOrigin) : loc;
+        pendingCheck = pendingCheck.then(() => checkPage(url));
+        return pendingCheck;
+      },
+    });
+  } catch (error) {
+    console.error(`Error processing sitemap ${sitemapUrl}: ${error.message}`);
+    return null;
+  }
 
-  for (let i = 0; i < urls.length; i++) {
-    const url = urls[i];
-    const pageContent = await fetchPageContent(url);
-    if (pageContent) {
-      const result = checkMetaTags(pageContent, url);
-      results.push(result);
-
-      // Log the result for each URL with progress indicator
-      console.log(
-        `URL [${(i + 1).toString().padStart(2, '0')}/${urls.length}]: ${url}`
-      );
-      console.log(`  ➤ NoIndex: ${result.noIndex}`);
-      console.log(`  ➤ NoFollow: ${result.noFollow}`);
-      console.log(`  ➤ Status: ${result.status}\n`);
-
-      if (result.status === 'OK') {
-        okCount++;
+  // If it's a sitemap index, process each child sitemap
+  if (sitemapData.type === 'index') {
+    console.log(`Found sitemap index with ${sitemapData.urls.length} child sitemaps`);
+    const totalResults = {
+      totalUrls: 0,
+      okCount: 0,
+      notOkCount: 0,
+      fetchFailedCount: 0,
+      slowUrlCount: 0,
+      failedSitemaps: [],
+    };
+
+    for (const childLoc of sitemapData.urls) {
+      const resolvedUrl = resolveChildSitemapUrl(childLoc, sitemapUrl);
+      const childSitemapUrl = stagingOrigin
+        ? rewriteUrlOrigin(resolvedUrl, stagingOrigin)
+        : resolvedUrl;
+      if (childSitemapUrl === sitemapUrl || ancestors.includes(childSitemapUrl)) {
+        const cycle = [...ancestors, sitemapUrl, childSitemapUrl].join(' -> ');
+        console.log(`Skipping ${childSitemapUrl}: cycle detected: ${cycle}`);
+        continue;
+      }
+      if (visited.has(childSitemapUrl)) {
+        console.log(`Skipping ${childSitemapUrl}: already processed in this run`);
+        continue;
+      }
+      if (depth + 1 > MAX_SITEMAP_DEPTH) {
+        console.log(`Skipping ${childSitemapUrl}: maximum sitemap index depth (${MAX_SITEMAP_DEPTH}) exceeded`);
+        continue;
+      }
+      const result = await processSitemap(childSitemapUrl, stagingOrigin, {
+        depth: depth + 1,
+        ancestors: [...ancestors, sitemapUrl],
+        visited,
+      });
+      if (result) {
+        totalResults.totalUrls += result.totalUrls;
+        totalResults.okCount += result.okCount;
+        totalResults.notOkCount += result.notOkCount;
+        totalResults.fetchFailedCount += result.fetchFailedCount;
+        totalResults.slowUrlCount += result.slowUrlCount;
+        totalResults.failedSitemaps.push(...result.failedSitemaps);
       } else {
-        notOkCount++;
+        totalResults.failedSitemaps.push(childSitemapUrl);
       }
     }
+
+    return totalResults;
   }
 
+  // Create the results directory for the current website (without timestamp)
+  const resultsDir = createResultsDirectory(sitemapUrl);
+
   // Save the results to CSV with statistics
   saveResultsToCsv(
     results,
     sitemapUrl,
     okCount,
     notOkCount,
-    urls.length,
-    resultsDir
+    fetchFailedCount,
+    results.length,
+    resultsDir,
+    sitemapBody,
+    sitemapData.formatLabel
   );
 
   // Calculate percentages for console output
-  const okPercentage = ((okCount / urls.length) * 100).toFixed(2);
-  const notOkPercentage = ((notOkCount / urls.length) * 100).toFixed(2);
+  const okPercentage = getPercentage(okCount, results.length);
+  const notOkPercentage = getPercentage(notOkCount, results.length);
+  const fetchFailedPercentage = getPercentage(fetchFailedCount, results.length);
+  const { ttfbValues, totalTimeValues, slowUrls } = getResponseTimeStats(results, SLOW_URL_THRESHOLD);
 
   // Display statistics
   console.log(`\nSummary for sitemap: ${sitemapUrl}`);
-  console.log(`Total URLs Checked: ${urls.length}`);
+  console.log(`Total URLs Checked: ${results.length}`);
   console.log(`Total OK URLs: ${okCount} (${okPercentage}%)`);
-  console.log(`Total Not OK URLs: ${notOkCount} (${notOkPercentage}%)\n`);
+  console.log(`Total Not OK URLs: ${notOkCount} (${notOkPercentage}%)`);
+  console.log(`Total Fetch Failed URLs: ${fetchFailedCount} (${fetchFailedPercentage}%)`);
+  console.log(`TTFB p50 / p90 / p99 (ms): ${formatPercentiles(ttfbValues)}`);
+  console.log(`Total Time p50 / p90 / p99 (ms): ${formatPercentiles(totalTimeValues)}`);
+  console.log(`Slow URLs (over ${SLOW_URL_THRESHOLD} ms): ${slowUrls.length}`);
+  for (const result of slowUrls) {
+    console.log(`  ➤ ${result.url}: ${result.totalTime} ms (TTFB ${result.ttfb} ms)`);
+  }
+  console.log(`Sitemap Format: ${sitemapData.formatLabel}`);
+  console.log(
+    `Sitemap Size (compressed): ${formatBytes(sitemapBody.compressedSize)}`
+  );
+  console.log(
+    `Sitemap Size (uncompressed): ${formatBytes(sitemapBody.uncompressedSize)}\n`
+  );
+
+  return {
+    totalUrls: results.length,
+    okCount,
+    notOkCount,
+    fetchFailedCount,
+    slowUrlCount: slowUrls.length,
+    failedSitemaps: [],
+  };
+}
+
+// Function to discover the sitemaps of a config entry that only declares an origin, from its robots.txt
+function discoverSiteSitemaps(origin) {
+  return discoverSitemaps(
+    origin,
+    requestSettings.applySiteSettings(origin, {
+      headers: {
+        'User-Agent': userAgentProfile.userAgent,
+      },
+      timeout: DISCOVERY_TIMEOUT,
+    })
+  );
 }
 
 // Main function to loop through sitemaps and check each URL
 async function main() {
-  for (const sitemapUrl of sitemapUrls) {
-    await processSitemap(sitemapUrl);
+  let totalUrls = 0;
+  let totalOkCount = 0;
+  let totalNotOkCount = 0;
+  let totalFetchFailedCount = 0;
+  let totalSlowUrlCount = 0;
+  const failedSitemaps = [];
+  const visited = new Set();
+
+  const sitemapsToCheck = await resolveSitemapsToCheck(
+    sitemaps,
+    process.argv.slice(2),
+    discoverSiteSitemaps
+  );
+  for (const { url, stagingOrigin } of sitemapsToCheck) {
+    if (visited.has(url)) {
+      console.log(`Skipping ${url}: already processed in this run`);
+      continue;
+    }
+    const result = await processSitemap(url, stagingOrigin, { visited });
+    if (result) {
+      totalUrls += result.totalUrls;
+      totalOkCount += result.okCount;
+      totalNotOkCount += result.notOkCount;
+      totalFetchFailedCount += result.fetchFailedCount;
+      totalSlowUrlCount += result.slowUrlCount;
+      failedSitemaps.push(...result.failedSitemaps);
+    } else {
+      failedSitemaps.push(url);
+    }
   }
 
-  console.log('All sitemaps processed successfully.');
+  // Display overall summary
+  console.log('\n========== OVERALL SUMMARY ==========');
+  console.log(`Total URLs Checked: ${totalUrls}`);
+  console.log(`Total OK URLs: ${totalOkCount} (${getPercentage(totalOkCount, totalUrls)}%)`);
+  console.log(
+    `Total Not OK URLs: ${totalNotOkCount} (${getPercentage(totalNotOkCount, totalUrls)}%)`
+  );
+  console.log(
+    `Total Fetch Failed URLs: ${totalFetchFailedCount} (${getPercentage(totalFetchFailedCount, totalUrls)}%)`
+  );
+  console.log(`Slow URLs (over ${SLOW_URL_THRESHOLD} ms): ${totalSlowUrlCount}`);
+  if (failedSitemaps.length > 0) {
+    console.log(`Failed Sitemaps: ${failedSitemaps.length}`);
+    for (const failedSitemap of failedSitemaps) {
+      console.log(`  ➤ ${failedSitemap}`);
+    }
+    console.log('Sitemaps processed with errors.');
+  } else {
+    console.log('All sitemaps processed successfully.');
+  }
 }
 
 main();
@@ -0,0 +1,131 @@
+// Proxy support for crawler traffic: HTTP, HTTPS and SOCKS proxies, with authentication,
+// a no-proxy list and an optional rotating pool
+
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+const SOCKS_PROTOCOLS = ['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+const HTTP_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Normalizes a proxy setting of sitemapconfig.js
+ * @param {string|Object|false|null} config - Proxy URL, or { url } / { pool } with optional
+ *   `usernameEnv`, `passwordEnv` (names of environment variables) and `noProxy` hosts
+ * @returns {Object|null} - { urls, usernameEnv, passwordEnv, noProxy }, or null for no proxy
+ * @throws {Error} - If a proxy URL is invalid or uses an unsupported protocol
+ */
+function normalizeProxyConfig(config) {
+  if (!config) return null;
+  const urls = typeof config === 'string' ? [config] : config.pool || (config.url ? [config.url] : []);
+  if (urls.length === 0) return null;
+  // Fail before any request is sent rather than halfway through a run
+  for (const proxyUrl of urls) {
+    const { protocol } = new URL(proxyUrl);
+    if (!SOCKS_PROTOCOLS.includes(protocol) && !HTTP_PROTOCOLS.includes(protocol)) {
+      throw new Error(`Unsupported proxy protocol ${protocol} in ${getProxyLabel(proxyUrl)}`);
+    }
+  }
+  if (typeof config === 'string') {
+    return { urls, usernameEnv: null, passwordEnv: null, noProxy: [] };
+  }
+  return {
+    urls,
+    usernameEnv: config.usernameEnv || null,
+    passwordEnv: config.passwordEnv || null,
+    noProxy: (config.noProxy || []).map((host) => host.toLowerCase()),
+  };
+}
+
+/**
+ * Checks whether a host is excluded from proxying
+ * @param {string} hostname - Host of the requested URL
+ * @param {Array<string>} noProxy - Hosts to reach directly: "example.com" also covers its
+ *   subdomains, ".example.com" only the subdomains, "*" every host
+ * @returns {boolean} - True if the host must be reached without proxy
+ */
+function isNoProxyHost(hostname, noProxy) {
+  const host = hostname.toLowerCase();
+  return noProxy.some((entry) => {
+    if (entry === '*') return true;
+    if (entry.startsWith('.')) return host.endsWith(entry);
+    return host === entry || host.endsWith(`.${entry}`);
+  });
+}
+
+/**
+ * Describes a proxy without its credentials, for logs and reports
+ * @param {string} proxyUrl - Proxy URL
+ * @returns {string} - e.g. socks5://proxy.example.com:1080
+ */
+function getProxyLabel(proxyUrl) {
+  const url = new URL(proxyUrl);
+  return `${url.protocol}//${url.host}`;
+}
+
+/**
+ * Creates the resolver that picks the proxy of each request
+ * @param {string|Object|null} globalConfig - Proxy used for every site without its own setting
+ * @param {Object} env - Environment the proxy credentials are read from
+ * @returns {Object} - { resolve(url, siteProxy) } returning { httpAgent, httpsAgent, label }
+ *   or null when the request goes out directly
+ */
+function createProxyResolver(globalConfig, env = process.env) {
+  const globalProxy = normalizeProxyConfig(globalConfig);
+  const agentsByUrl = new Map();
+  const nextIndex = new Map();
+
+  const getAgents = (proxy, proxyUrl) => {
+    if (!agentsByUrl.has(proxyUrl)) {
+      const url = new URL(proxyUrl);
+      if (proxy.usernameEnv && env[proxy.usernameEnv] !== undefined) {
+        url.username = encodeURIComponent(env[proxy.usernameEnv]);
+        url.password = encodeURIComponent(env[proxy.passwordEnv] || '');
+      }
+      let agents;
+      if (SOCKS_PROTOCOLS.includes(url.protocol)) {
+        const agent = new SocksProxyAgent(url.href);
+        agents = { httpAgent: agent, httpsAgent: agent };
+      } else {
+        agents = { httpAgent: new HttpProxyAgent(url.href), httpsAgent: new HttpsProxyAgent(url.href) };
+      }
+      // Agents are reused so connections to the proxy are kept alive between requests
+      agentsByUrl.set(proxyUrl, { ...agents, label: getProxyLabel(proxyUrl) });
+    }
+    return agentsByUrl.get(proxyUrl);
+  };
+
+  /**
+   * Picks the proxy of a request, rotating through the pool if several are configured
+   * @param {string} url - URL about to be requested
+   * @param {Object|null|undefined} siteProxy - Proxy of the site of the URL, as returned by
+   *   normalizeProxyConfig; null sends the site's requests directly, undefined falls back to
+   *   the global proxy
+   * @returns {Object|null} - { httpAgent, httpsAgent, label }, or null for a direct request
+   */
+  function resolve(url, siteProxy) {
+    const proxy = siteProxy === undefined ? globalProxy : siteProxy;
+    if (!proxy) return null;
+
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+    if (isNoProxyHost(hostname, proxy.noProxy)) return null;
+
+    const index = nextIndex.get(proxy) || 0;
+    nextIndex.set(proxy, (index + 1) % proxy.urls.length);
+    return getAgents(proxy, proxy.urls[index]);
+  }
+
+  return { resolve };
+}
+
+module.exports = {
+  normalizeProxyConfig,
+  isNoProxyHost,
+  getProxyLabel,
+  createProxyResolver,
+};
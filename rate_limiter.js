@@ -0,0 +1,164 @@
+// Adaptive rate limiting per host: requests are spaced to a requests-per-second budget that
+// is halved when the host answers 429 or 503 and slowly raised again while it answers normally
+
+// Status codes that mean the host wants us to slow down
+const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Parses a Retry-After header
+ * @param {string|number|undefined} value - Header value: delay in seconds or an HTTP-date
+ * @param {number} now - Reference time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a rate limiter that keeps one budget per host
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerSecond - Starting (and maximum) rate for each host
+ * @param {number} options.minRequestsPerSecond - Rate never goes below this after backoffs
+ * @param {number} options.rampUpAfter - Successful responses needed before raising the rate
+ * @param {number} options.rampUpStep - Share of requestsPerSecond added at each ramp-up
+ * @param {number} options.backoffDelay - Pause after a 429/503 without Retry-After (doubles
+ *   while the host keeps throttling)
+ * @param {number} options.maxRetryAfter - Longest pause (Retry-After or backoff), in milliseconds
+ * @returns {Object} - { acquire, recordResponse, getStats }
+ */
+function createHostRateLimiter({
+  requestsPerSecond,
+  minRequestsPerSecond = requestsPerSecond / 16,
+  rampUpAfter = 10,
+  rampUpStep = 0.1,
+  backoffDelay = 2000,
+  maxRetryAfter = 5 * 60 * 1000,
+}) {
+  const hosts = new Map();
+
+  const getHostState = (url) => {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      host = '';
+    }
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        host,
+        rate: requestsPerSecond,
+        nextSlot: 0,
+        pausedUntil: 0,
+        successStreak: 0,
+        throttleStreak: 0,
+        requests: 0,
+        count429: 0,
+        count503: 0,
+        firstRequestAt: 0,
+        lastRequestAt: 0,
+      });
+    }
+    return hosts.get(host);
+  };
+
+  /**
+   * Waits until a request to the host of the URL fits in its budget
+   * @param {string} url - URL about to be requested
+   */
+  async function acquire(url) {
+    const state = getHostState(url);
+    // Re-check after every wait: the host may have been paused or slowed down meanwhile
+    for (;;) {
+      const wait = Math.max(state.nextSlot, state.pausedUntil) - Date.now();
+      if (wait <= 0) break;
+      await sleep(wait);
+    }
+    const now = Date.now();
+    state.nextSlot = now + 1000 / state.rate;
+    state.requests++;
+    state.firstRequestAt = state.firstRequestAt || now;
+    state.lastRequestAt = now;
+  }
+
+  /**
+   * Adapts the budget of a host to the status it answered with
+   * @param {string} url - URL that was requested
+   * @param {number|string} status - HTTP status, or a non-numeric value for network errors
+   * @param {string} retryAfter - Retry-After header of the response, if any
+   * @returns {number} - Pause imposed on the host in milliseconds (0 if not throttled)
+   */
+  function recordResponse(url, status, retryAfter) {
+    const state = getHostState(url);
+
+    if (!THROTTLE_STATUSES.includes(status)) {
+      state.throttleStreak = 0;
+      if (typeof status === 'number' && status < 500) {
+        state.successStreak++;
+        if (state.successStreak >= rampUpAfter && state.rate < requestsPerSecond) {
+          state.rate = Math.min(requestsPerSecond, state.rate + requestsPerSecond * rampUpStep);
+          state.successStreak = 0;
+        }
+      }
+      return 0;
+    }
+
+    if (status === 429) state.count429++;
+    if (status === 503) state.count503++;
+    state.successStreak = 0;
+    state.throttleStreak++;
+    state.rate = Math.max(minRequestsPerSecond, state.rate / 2);
+
+    const retryAfterDelay = parseRetryAfter(retryAfter);
+    const pause =
+      retryAfterDelay !== null
+        ? Math.min(retryAfterDelay, maxRetryAfter)
+        : Math.min(backoffDelay * Math.pow(2, state.throttleStreak - 1), maxRetryAfter);
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + pause);
+
+    console.log(
+      `${status} from ${state.host}: pausing ${pause}ms${retryAfterDelay !== null ? ' (Retry-After)' : ''}, ` +
+        `rate lowered to ${state.rate.toFixed(2)} req/s`
+    );
+    return pause;
+  }
+
+  /**
+   * Lists the request statistics of every host
+   * @returns {Array<Object>} - { host, requests, count429, count503, effectiveRate, currentRate }
+   */
+  function getStats() {
+    return Array.from(hosts.values()).map((state) => {
+      const elapsedSeconds = (state.lastRequestAt - state.firstRequestAt) / 1000;
+      return {
+        host: state.host,
+        requests: state.requests,
+        count429: state.count429,
+        count503: state.count503,
+        // Rate actually achieved between the first and the last request
+        effectiveRate: elapsedSeconds > 0 ? (state.requests - 1) / elapsedSeconds : 0,
+        currentRate: state.rate,
+      };
+    });
+  }
+
+  return { acquire, recordResponse, getStats };
+}
+
+module.exports = {
+  THROTTLE_STATUSES,
+  parseRetryAfter,
+  createHostRateLimiter,
+};
@@ -1,56 +1,59 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { sitemaps, proxy } = require('./sitemapconfig');
+const { isRedirectStatus, getRedirectType, REDIRECT_TYPE } = require('./redirects');
+const { classifyNetworkError, countNetworkErrors } = require('./network_errors');
+const { createRequestSettings } = require('./request_settings');
+const { timedRequest, formatPercentiles, getResponseTimeStats } = require('./response_timing');
+const { isSummaryRow } = require('./sitemap');
 
-// Function to check if a URL is from wilson.com
-function isWilsonUrl(url) {
-  return url.includes('wilson.com');
-}
+const SLOW_URL_THRESHOLD = 2000; // Total time (ms) above which a URL is listed as slow
+
+// Headers, cookies, user agent, basic auth and proxy declared in sitemapconfig.js
+const requestSettings = createRequestSettings(sitemaps, { proxy });
 
 // Function to check the status of a URL
 async function checkUrlStatus(url) {
+  // Configure request options, with the headers, cookies, auth and proxy configured for the site
+  const requestOptions = requestSettings.applySiteSettings(url, {
+    maxRedirects: 0, // prevent following redirects
+    validateStatus: (status) => status < 400, // accept 3xx to capture redirects
+    timeout: 15000, // 15 seconds timeout
+  });
+  const proxyUsed = requestSettings.getProxyUsed(requestOptions);
+
   try {
-    console.log(`Checking URL: ${url}`);
-
-    // Configure request options
-    const requestOptions = {
-      maxRedirects: 0, // prevent following redirects
-      validateStatus: (status) => status < 400, // accept 3xx to capture redirects
-      timeout: 15000, // 15 seconds timeout
-    };
-
-    // Add special header for Wilson.com
-    if (isWilsonUrl(url)) {
-      console.log('Adding special header for Wilson.com request');
-      requestOptions.headers = {
-        eds_process: 'special-wilson-header',
-      };
-    }
+    console.log(`Checking URL: ${url}${proxyUsed ? ` via ${proxyUsed}` : ''}`);
 
-    const response = await axios.get(url, requestOptions);
+    const response = await timedRequest('get', url, requestOptions);
+    const { timing } = response;
 
-    // Handle 3xx redirects
-    if (response.status === 301 || response.status === 302) {
+    // Handle 3xx redirects (301, 302, 303, 307 and 308)
+    if (isRedirectStatus(response.status)) {
       console.log(
-        `  ➤ Redirect (${response.status}): ${url} → ${response.headers.location}`
+        `  ➤ ${getRedirectType(response.status)} redirect (${response.status}): ${url} → ${response.headers.location}`
       );
       return {
         url,
         status: response.status,
         redirectUrl: response.headers.location,
+        proxy: proxyUsed,
+        timing,
       };
     }
 
-    console.log(`  ➤ Success (${response.status}): ${url}`);
-    return { url, status: response.status };
+    console.log(`  ➤ Success (${response.status}): ${url} in ${timing.totalTime} ms`);
+    return { url, status: response.status, proxy: proxyUsed, timing };
   } catch (error) {
-    // Catch network errors or other types of issues
-    const errorStatus = error.response
-      ? error.response.status
-      : 'Network Error';
-    console.log(`  ➤ Error (${errorStatus}): ${url}`);
-    return { url, status: errorStatus };
+    if (error.response) {
+      console.log(`  ➤ Error (${error.response.status}): ${url}`);
+      return { url, status: error.response.status, proxy: proxyUsed, timing: error.timing };
+    }
+    // Network errors have no status: record their category and code instead
+    const { category, code, message } = classifyNetworkError(error);
+    console.log(`  ➤ ${category} (${code}): ${url} - ${message}`);
+    return { url, status: '', errorCategory: category, errorCode: code, proxy: proxyUsed, timing: error.timing };
   }
 }
 
@@ -105,15 +108,7 @@ async function recheckUrls(csvFilePath) {
       .pipe(csv())
       .on('data', (row) => {
         // The first column is expected to be the URL
-        if (
-          row.URL &&
-          !row.URL.includes('Total URLs Checked:') &&
-          !row.URL.includes('Successful (200):') &&
-          !row.URL.includes('Redirects:') &&
-          !row.URL.includes('Errors:') &&
-          !row.URL.includes('Not OK Percentage:') &&
-          !row.URL.includes('Redundant URLs:')
-        ) {
+        if (row.URL && !isSummaryRow(row.URL)) {
           urls.push(row.URL);
         }
       })
@@ -138,6 +133,8 @@ async function recheckUrls(csvFilePath) {
   const results = [];
   let successCount = 0;
   let redirectCount = 0;
+  let permanentRedirectCount = 0;
+  let temporaryRedirectCount = 0;
   let errorCount = 0;
   let redundantCount = 0;
 
@@ -162,11 +159,13 @@ async function recheckUrls(csvFilePath) {
     let targetUrl = '';
 
     // Check if the redirect target is in the original list
-    if (
-      (result.status === 301 || result.status === 302) &&
-      result.redirectUrl
-    ) {
+    if (isRedirectStatus(result.status) && result.redirectUrl) {
       redirectCount++;
+      if (getRedirectType(result.status) === REDIRECT_TYPE.PERMANENT) {
+        permanentRedirectCount++;
+      } else {
+        temporaryRedirectCount++;
+      }
       const normalizedRedirectUrl = normalizeUrl(result.redirectUrl, url);
 
       // Check if the redirect target is in the list
@@ -196,6 +195,13 @@ async function recheckUrls(csvFilePath) {
       url: result.url,
       status: result.status,
       redirectUrl: result.redirectUrl || '',
+      redirectType: getRedirectType(result.status),
+      errorCategory: result.errorCategory || '',
+      errorCode: result.errorCode || '',
+      proxy: result.proxy,
+      ttfb: result.timing ? result.timing.ttfb : '',
+      totalTime: result.timing ? result.timing.totalTime : '',
+      responseSize: result.timing ? result.timing.size : '',
       redirectInList: redirectInSitemap,
       redundantUrl,
       targetUrl,
@@ -208,7 +214,11 @@ async function recheckUrls(csvFilePath) {
       (result) =>
         `${result.url},${result.status},${result.redirectUrl},${
           result.redirectInList
-        },${result.redundantUrl ? 'Yes' : 'No'}`
+        },${result.redundantUrl ? 'Yes' : 'No'},${result.redirectType},${
+          result.errorCategory
+        },${result.errorCode},${result.proxy},${result.ttfb},${result.totalTime},${
+          result.responseSize
+        }`
     )
     .join('\n');
 
@@ -219,14 +229,24 @@ async function recheckUrls(csvFilePath) {
     100
   ).toFixed(2);
   const percentRedundant = ((redundantCount / totalUrls) * 100).toFixed(2);
+  const networkErrorCounts = countNetworkErrors(results);
+  const { ttfbValues, totalTimeValues, slowUrls } = getResponseTimeStats(results, SLOW_URL_THRESHOLD);
 
   const summary = [
     `Total URLs Checked:,${totalUrls}`,
     `Successful (200):,${successCount} (${percentOk}%)`,
     `Redirects:,${redirectCount}`,
+    `Permanent Redirects (301/308):,${permanentRedirectCount}`,
+    `Temporary Redirects (302/303/307):,${temporaryRedirectCount}`,
     `Errors:,${errorCount}`,
+    ...Object.entries(networkErrorCounts).map(
+      ([category, count]) => `Network Errors: ${category},${count}`
+    ),
     `Redundant URLs:,${redundantCount} (${percentRedundant}%)`,
     `Not OK Percentage:,${percentNotOk}%`,
+    `Response Time TTFB p50 / p90 / p99 (ms):,${formatPercentiles(ttfbValues)}`,
+    `Response Time Total p50 / p90 / p99 (ms):,${formatPercentiles(totalTimeValues)}`,
+    `Slow URLs (over ${SLOW_URL_THRESHOLD} ms):,${slowUrls.length}`,
   ].join('\n');
 
   const filename = generateFilename(csvFilePath);
@@ -234,7 +254,7 @@ async function recheckUrls(csvFilePath) {
   // Write results to CSV - only include the actual data and one summary section
   fs.writeFileSync(
     filename,
-    `URL,Status,Redirect URL,Redirect in List,Redundant URL\n${csvContent}\n${summary}`
+    `URL,Status,Redirect URL,Redirect in List,Redundant URL,Redirect Type,Error Category,Error Code,Proxy,TTFB (ms),Total Time (ms),Response Size (bytes)\n${csvContent}\n${summary}`
   );
   console.log(`Results saved to ${filename}`);
 
@@ -243,9 +263,20 @@ async function recheckUrls(csvFilePath) {
   console.log(`Total URLs Checked: ${totalUrls}`);
   console.log(`Successful (200): ${successCount} (${percentOk}%)`);
   console.log(`Redirects: ${redirectCount}`);
+  console.log(`  ➤ Permanent (301/308): ${permanentRedirectCount}`);
+  console.log(`  ➤ Temporary (302/303/307): ${temporaryRedirectCount}`);
   console.log(`Errors: ${errorCount}`);
+  for (const [category, count] of Object.entries(networkErrorCounts)) {
+    console.log(`  ➤ ${category}: ${count}`);
+  }
   console.log(`Redundant URLs: ${redundantCount} (${percentRedundant}%)`);
   console.log(`Not OK Percentage: ${percentNotOk}%`);
+  console.log(`TTFB p50 / p90 / p99 (ms): ${formatPercentiles(ttfbValues)}`);
+  console.log(`Total Time p50 / p90 / p99 (ms): ${formatPercentiles(totalTimeValues)}`);
+  console.log(`Slow URLs (over ${SLOW_URL_THRESHOLD} ms): ${slowUrls.length}`);
+  for (const result of slowUrls) {
+    console.log(`  ➤ ${result.url}: ${result.totalTime} ms (TTFB ${result.ttfb} ms)`);
+  }
   console.log(`Results saved to: ${filename}`);
 }
 
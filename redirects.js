@@ -0,0 +1,43 @@
+// Classification of HTTP redirect status codes
+// See https://developers.google.com/search/docs/crawling-indexing/301-redirects
+
+// 301 and 308 pass ranking signals to the target, the others keep the original URL indexed
+const PERMANENT_REDIRECT_STATUSES = [301, 308];
+const TEMPORARY_REDIRECT_STATUSES = [302, 303, 307];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const REDIRECT_TYPE = {
+  PERMANENT: 'Permanent',
+  TEMPORARY: 'Temporary',
+};
+
+/**
+ * Checks whether an HTTP status is a redirect
+ * @param {number|string} status - Status code, as a number or as read from a CSV report
+ * @returns {boolean} - True for 301, 302, 303, 307 and 308
+ */
+function isRedirectStatus(status) {
+  return REDIRECT_STATUSES.includes(Number(status));
+}
+
+/**
+ * Classifies a redirect status as permanent or temporary
+ * @param {number|string} status - Status code, as a number or as read from a CSV report
+ * @returns {string} - 'Permanent', 'Temporary', or empty string if the status is not a redirect
+ */
+function getRedirectType(status) {
+  if (PERMANENT_REDIRECT_STATUSES.includes(Number(status))) {
+    return REDIRECT_TYPE.PERMANENT;
+  }
+  if (TEMPORARY_REDIRECT_STATUSES.includes(Number(status))) {
+    return REDIRECT_TYPE.TEMPORARY;
+  }
+  return '';
+}
+
+module.exports = {
+  REDIRECT_STATUSES,
+  REDIRECT_TYPE,
+  isRedirectStatus,
+  getRedirectType,
+};
@@ -0,0 +1,150 @@
+// Per-site request settings declared in sitemapconfig.js: headers, cookies, user agent,
+// basic-auth credentials and proxy, applied to every request sent to the hosts of a site
+
+const { normalizeProxyConfig, createProxyResolver } = require('./proxy_settings');
+
+/**
+ * Lists the hosts a sitemaps entry applies to
+ * @param {Object} site - sitemaps entry
+ * @returns {Array<string>} - Lowercased hostnames of url, origin, stagingOrigin and hosts
+ */
+function getSiteHosts(site) {
+  const hosts = [...(site.hosts || [])];
+  for (const value of [site.url, site.origin, site.stagingOrigin]) {
+    if (!value) continue;
+    try {
+      const { protocol, hostname } = new URL(value);
+      if (protocol === 'http:' || protocol === 'https:') {
+        hosts.push(hostname);
+      }
+    } catch (error) {
+      // Local paths have no host
+    }
+  }
+  return Array.from(new Set(hosts.map((host) => host.toLowerCase())));
+}
+
+/**
+ * Formats cookies as a Cookie header
+ * @param {Object|string} cookies - { name: value } pairs, or a ready-made "a=1; b=2" string
+ * @returns {string} - Cookie header value
+ */
+function formatCookies(cookies) {
+  if (typeof cookies === 'string') return cookies;
+  return Object.entries(cookies)
+    .map(([name, value]) => `${name}=${value}`)
+    .join('; ');
+}
+
+/**
+ * Creates the resolver of per-site request settings
+ * @param {Array<Object>} sites - sitemaps entries; each may declare `headers`, `cookies`,
+ *   `userAgent`, `basicAuth: { usernameEnv, passwordEnv }` (names of environment variables),
+ *   `proxy` (see proxy_settings.js, false to bypass the global proxy) and extra `hosts` the
+ *   settings apply to
+ * @param {Object} options - Settings shared by all sites
+ * @param {string|Object|null} options.proxy - Global proxy of sitemapconfig.js
+ * @param {Object} options.env - Environment the credentials are read from
+ * @returns {Object} - { getSiteSettings(url), applySiteSettings(url, options), getProxyUsed(options) }
+ */
+function createRequestSettings(sites, { proxy = null, env = process.env } = {}) {
+  const warned = new Set();
+  const proxyResolver = createProxyResolver(proxy, env);
+  const proxyByOptions = new WeakMap();
+  const siteSettings = sites
+    .filter((site) => site.headers || site.cookies || site.userAgent || site.basicAuth || site.proxy !== undefined)
+    .map((site) => ({ site, hosts: getSiteHosts(site) }));
+  // Parsed upfront so an invalid proxy fails before any request is sent
+  const proxyBySite = new Map(
+    siteSettings
+      .filter(({ site }) => site.proxy !== undefined)
+      .map(({ site }) => [site, normalizeProxyConfig(site.proxy)])
+  );
+
+  /**
+   * Finds the sitemaps entry whose hosts include the host of a URL (or one of its parents)
+   * @param {string} url - URL about to be requested
+   * @returns {Object|null} - sitemaps entry, or null if no entry declares settings for it
+   */
+  function getSiteSettings(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+    const match = siteSettings.find(({ hosts }) =>
+      hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+    );
+    return match ? match.site : null;
+  }
+
+  /**
+   * Routes axios request options through the proxy of a URL, if any
+   * @param {string} url - URL about to be requested
+   * @param {Object} options - axios options
+   * @param {Object|null} site - sitemaps entry of the URL
+   * @returns {Object} - New axios options
+   */
+  function applyProxy(url, options, site) {
+    const resolved = proxyResolver.resolve(url, proxyBySite.get(site));
+    if (!resolved) return options;
+    // proxy: false stops axios from also applying the HTTP(S)_PROXY environment variables
+    const result = { ...options, httpAgent: resolved.httpAgent, httpsAgent: resolved.httpsAgent, proxy: false };
+    proxyByOptions.set(result, resolved.label);
+    return result;
+  }
+
+  /**
+   * Tells which proxy options returned by applySiteSettings send their request through
+   * @param {Object} options - axios options returned by applySiteSettings
+   * @returns {string} - Proxy without credentials, or '' for a direct request
+   */
+  function getProxyUsed(options) {
+    return proxyByOptions.get(options) || '';
+  }
+
+  /**
+   * Adds the settings of the site of a URL to axios request options
+   * @param {string} url - URL about to be requested
+   * @param {Object} options - axios options; headers set here are overridden by the site's
+   * @returns {Object} - New axios options
+   */
+  function applySiteSettings(url, options = {}) {
+    const site = getSiteSettings(url);
+    if (!site) return applyProxy(url, options, null);
+
+    const headers = { ...(options.headers || {}) };
+    if (site.userAgent) {
+      headers['User-Agent'] = site.userAgent;
+    }
+    Object.assign(headers, site.headers || {});
+    if (site.cookies) {
+      headers.Cookie = formatCookies(site.cookies);
+    }
+
+    const result = { ...options, headers };
+    if (site.basicAuth) {
+      const username = env[site.basicAuth.usernameEnv];
+      const password = env[site.basicAuth.passwordEnv];
+      if (username !== undefined && password !== undefined) {
+        result.auth = { username, password };
+      } else if (!warned.has(site)) {
+        warned.add(site);
+        console.warn(
+          `Basic auth for ${getSiteHosts(site).join(', ')} skipped: set the ` +
+            `${site.basicAuth.usernameEnv} and ${site.basicAuth.passwordEnv} environment variables`
+        );
+      }
+    }
+    return applyProxy(url, result, site);
+  }
+
+  return { getSiteSettings, applySiteSettings, getProxyUsed };
+}
+
+module.exports = {
+  getSiteHosts,
+  formatCookies,
+  createRequestSettings,
+};
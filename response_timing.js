@@ -0,0 +1,115 @@
+// Response time measurement: time to first byte, total time and size of each request, and
+// the percentiles reported in the summaries
+
+const axios = require('axios');
+
+/**
+ * Milliseconds elapsed since a process.hrtime.bigint() reading
+ * @param {bigint} start - Start time
+ * @returns {number} - Elapsed time, rounded to the millisecond
+ */
+function elapsedMs(start) {
+  return Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+}
+
+/**
+ * Reads a streamed response body and converts it to the type the caller asked for
+ * @param {Object} response - axios response whose data is a stream
+ * @param {string} responseType - 'arraybuffer' for a Buffer, anything else for a string
+ * @returns {Promise<number>} - Size of the body in bytes (after decompression)
+ */
+async function readBody(response, responseType) {
+  const chunks = [];
+  for await (const chunk of response.data) {
+    chunks.push(chunk);
+  }
+  const body = Buffer.concat(chunks);
+  response.data = responseType === 'arraybuffer' ? body : body.toString('utf-8');
+  return body.length;
+}
+
+/**
+ * Sends a request with axios and measures it. The body is streamed so the time to first
+ * byte (response headers received) can be told apart from the total time
+ * @param {string} method - HTTP method, e.g. 'get' or 'head'
+ * @param {string} url - URL to request
+ * @param {Object} options - axios options; responseType 'arraybuffer' returns a Buffer,
+ *   any other a string
+ * @returns {Promise<Object>} - axios response with `timing: { ttfb, totalTime, size }` in
+ *   milliseconds and bytes, size being '' when no body was downloaded (HEAD). Errors are
+ *   rethrown with the same `timing` property, ttfb being '' when no response was received
+ *   and size '' when the body could not be read
+ */
+async function timedRequest(method, url, options = {}) {
+  const responseType = options.responseType || 'text';
+  const start = process.hrtime.bigint();
+  let response;
+  try {
+    response = await axios.request({ ...options, method, url, responseType: 'stream' });
+  } catch (error) {
+    const ttfb = error.response ? elapsedMs(start) : '';
+    const size = error.response ? await readBody(error.response, responseType).catch(() => '') : '';
+    error.timing = { ttfb, totalTime: elapsedMs(start), size: method.toLowerCase() === 'head' ? '' : size };
+    throw error;
+  }
+
+  const ttfb = elapsedMs(start);
+  let size;
+  try {
+    size = await readBody(response, responseType);
+  } catch (error) {
+    // Body failed after the headers arrived (connection reset, abort, bad compression)
+    error.timing = { ttfb, totalTime: elapsedMs(start), size: '' };
+    throw error;
+  }
+  response.timing = { ttfb, totalTime: elapsedMs(start), size: method.toLowerCase() === 'head' ? '' : size };
+  return response;
+}
+
+/**
+ * Computes a percentile with the nearest-rank method
+ * @param {Array<number>} values - Measurements
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number|string} - Value of the percentile, '' if there are no measurements
+ */
+function getPercentile(values, percentile) {
+  const sorted = values.filter((value) => typeof value === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) return '';
+  const rank = Math.max(1, Math.ceil((percentile / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * Formats the p50/p90/p99 of a list of measurements for the summaries
+ * @param {Array<number>} values - Measurements in milliseconds
+ * @returns {string} - e.g. "120 / 480 / 1900", or "n/a" without measurements
+ */
+function formatPercentiles(values) {
+  if (getPercentile(values, 50) === '') return 'n/a';
+  return [50, 90, 99].map((percentile) => getPercentile(values, percentile)).join(' / ');
+}
+
+/**
+ * Collects the response times of checked URLs for the summaries
+ * @param {Array<Object>} results - Report rows with `url`, `ttfb` and `totalTime` in
+ *   milliseconds ('' when unknown)
+ * @param {number} slowThreshold - Total time (ms) above which a URL is slow
+ * @returns {Object} - { ttfbValues, totalTimeValues, slowUrls }, slowUrls being the rows above
+ *   the threshold, slowest first
+ */
+function getResponseTimeStats(results, slowThreshold) {
+  return {
+    ttfbValues: results.map((result) => result.ttfb),
+    totalTimeValues: results.map((result) => result.totalTime),
+    slowUrls: results
+      .filter((result) => typeof result.totalTime === 'number' && result.totalTime > slowThreshold)
+      .sort((a, b) => b.totalTime - a.totalTime),
+  };
+}
+
+module.exports = {
+  timedRequest,
+  getPercentile,
+  formatPercentiles,
+  getResponseTimeStats,
+};
@@ -0,0 +1,147 @@
+// Indexing directives of a page, merged from its robots meta tags and X-Robots-Tag headers
+// See https://developers.google.com/search/docs/crawling-indexing/robots-meta-tag
+
+const cheerio = require('cheerio');
+
+// Directives Google recognises; anything else followed by ":" in X-Robots-Tag is a user agent
+const KNOWN_DIRECTIVES = [
+  'all',
+  'index',
+  'follow',
+  'noindex',
+  'nofollow',
+  'none',
+  'noarchive',
+  'nocache',
+  'nosnippet',
+  'notranslate',
+  'noimageindex',
+  'indexifembedded',
+  'unavailable_after',
+  'max-snippet',
+  'max-image-preview',
+  'max-video-preview',
+];
+
+/**
+ * Splits a robots meta content or X-Robots-Tag value into directives
+ * Commas inside unavailable_after dates (e.g. "Wednesday, 03-Nov-2021") are kept
+ * @param {string} value - Comma-separated directives
+ * @param {boolean} allowUserAgent - Whether "botname: directive" prefixes are recognised
+ *   (X-Robots-Tag only)
+ * @returns {Array<Object>} - Directives as { userAgent, directive }, userAgent being null
+ *   when the directive applies to all crawlers
+ */
+function splitDirectives(value, allowUserAgent) {
+  const directives = [];
+  let userAgent = null;
+
+  for (const part of value.split(',')) {
+    let token = part.trim();
+    if (!token) continue;
+
+    const prefix = /^([a-z0-9_-]+)\s*:\s*(.*)$/i.exec(token);
+    const name = (prefix ? prefix[1] : token.split(/\s/)[0]).toLowerCase();
+    const last = directives[directives.length - 1];
+
+    if (allowUserAgent && prefix && !KNOWN_DIRECTIVES.includes(name)) {
+      // "googlebot: noindex, nofollow" applies the following directives to googlebot only
+      userAgent = name;
+      token = prefix[2].trim();
+      if (!token) continue;
+    } else if (
+      last &&
+      /^unavailable_after\s*:/i.test(last.directive) &&
+      !KNOWN_DIRECTIVES.includes(name)
+    ) {
+      last.directive += `, ${token}`;
+      continue;
+    }
+    directives.push({ userAgent, directive: token });
+  }
+  return directives;
+}
+
+/**
+ * Reads the effect of one directive
+ * @param {string} directive - Directive such as "noindex" or "unavailable_after: 2020-01-01"
+ * @param {number} now - Reference time in milliseconds
+ * @returns {Object} - { noIndex, noFollow, reason }: reason explains indirect noindex
+ *   (none, expired unavailable_after)
+ */
+function readDirective(directive, now) {
+  const match = /^([a-z_-]+)\s*(?::\s*(.*))?$/i.exec(directive.trim());
+  if (!match) return { noIndex: false, noFollow: false, reason: '' };
+  const name = match[1].toLowerCase();
+
+  if (name === 'noindex') return { noIndex: true, noFollow: false, reason: '' };
+  if (name === 'nofollow') return { noIndex: false, noFollow: true, reason: '' };
+  if (name === 'none') return { noIndex: true, noFollow: true, reason: 'none' };
+  if (name === 'unavailable_after' && match[2]) {
+    const date = Date.parse(match[2]);
+    if (!Number.isNaN(date) && date <= now) {
+      return { noIndex: true, noFollow: false, reason: `unavailable_after ${new Date(date).toISOString()}` };
+    }
+  }
+  return { noIndex: false, noFollow: false, reason: '' };
+}
+
+/**
+ * Merges every robots directive that applies to a crawler, the most restrictive one winning
+ * @param {Object} options - Page to evaluate
+ * @param {string} options.html - Page HTML (empty for non-HTML responses)
+ * @param {string|Array<string>} options.xRobotsTag - X-Robots-Tag response header(s)
+ * @param {string} options.crawler - Crawler name, e.g. googlebot: meta name="googlebot" and
+ *   "googlebot:" X-Robots-Tag directives apply on top of the generic ones
+ * @param {number} options.now - Reference time for unavailable_after, in milliseconds
+ * @returns {Object} - { noIndex, noFollow, noIndexSources, noFollowSources } where the sources
+ *   say which tag or header set each directive
+ */
+function getRobotsDirectives({ html = '', xRobotsTag = '', crawler = 'googlebot', now = Date.now() }) {
+  const crawlerName = crawler.toLowerCase();
+  const result = { noIndex: false, noFollow: false, noIndexSources: [], noFollowSources: [] };
+
+  const apply = (directive, source) => {
+    const effect = readDirective(directive, now);
+    const label = effect.reason ? `${source} (${effect.reason})` : source;
+    if (effect.noIndex) {
+      result.noIndex = true;
+      if (!result.noIndexSources.includes(label)) result.noIndexSources.push(label);
+    }
+    if (effect.noFollow) {
+      result.noFollow = true;
+      if (!result.noFollowSources.includes(label)) result.noFollowSources.push(label);
+    }
+  };
+
+  // Several X-Robots-Tag headers may be sent, each with its own user agent prefixes
+  const headerValues = Array.isArray(xRobotsTag) ? xRobotsTag : [xRobotsTag];
+  for (const headerValue of headerValues.filter(Boolean)) {
+    for (const { userAgent, directive } of splitDirectives(String(headerValue), true)) {
+      if (userAgent === null) {
+        apply(directive, 'X-Robots-Tag');
+      } else if (userAgent === crawlerName) {
+        apply(directive, `X-Robots-Tag (${userAgent})`);
+      }
+    }
+  }
+
+  if (html) {
+    const $ = cheerio.load(html);
+    $('meta[name][content]').each((i, element) => {
+      const name = ($(element).attr('name') || '').trim().toLowerCase();
+      if (name !== 'robots' && name !== crawlerName) return;
+      for (const { directive } of splitDirectives($(element).attr('content') || '', false)) {
+        apply(directive, `meta ${name}`);
+      }
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  splitDirectives,
+  readDirective,
+  getRobotsDirectives,
+};
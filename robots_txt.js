@@ -0,0 +1,308 @@
+const axios = require('axios');
+
+// Well-known sitemap locations tried when robots.txt does not declare any sitemap
+const FALLBACK_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+
+/**
+ * Fetches the robots.txt of an origin. As in RFC 9309, a 4xx means there is no robots.txt
+ * (everything is allowed), while a server error, 429 or network error makes it unavailable
+ * (everything is disallowed until it can be fetched)
+ * @param {string} origin - Site origin, e.g. https://www.example.com
+ * @param {Object} requestOptions - Extra axios options (headers, timeout...)
+ * @param {Object|null} rateLimiter - Host rate limiter (see rate_limiter.js) to wait for, if any
+ * @returns {Promise<Object>} - { content, unavailable, reason }: content is null when there is
+ *   no usable robots.txt, unavailable true when it could not be fetched at all
+ */
+async function fetchRobotsTxt(origin, requestOptions = {}, rateLimiter = null) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+  let response;
+  try {
+    if (rateLimiter) await rateLimiter.acquire(robotsUrl);
+    console.log(`Fetching robots.txt from ${robotsUrl}...`);
+    response = await axios.get(robotsUrl, {
+      ...requestOptions,
+      responseType: 'text',
+      validateStatus: () => true,
+    });
+  } catch (error) {
+    console.error(`Error fetching robots.txt from ${robotsUrl}: ${error.message}`);
+    return { content: null, unavailable: true, reason: error.code || error.message };
+  }
+
+  const { status } = response;
+  if (status >= 200 && status < 300) {
+    return {
+      content: typeof response.data === 'string' ? response.data : String(response.data),
+      unavailable: false,
+      reason: '',
+    };
+  }
+  console.error(`Error fetching robots.txt from ${robotsUrl}: HTTP ${status}`);
+  return { content: null, unavailable: status === 429 || status >= 500, reason: `HTTP ${status}` };
+}
+
+/**
+ * Extracts the Sitemap: directives of a robots.txt file
+ * @param {string} robotsTxt - robots.txt content
+ * @param {string} origin - Origin used to resolve relative sitemap URLs
+ * @returns {Array<string>} - Sitemap URLs in the order they are declared
+ */
+function parseSitemapDirectives(robotsTxt, origin) {
+  const sitemapUrls = [];
+  for (const rawLine of robotsTxt.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = /^sitemap\s*:\s*(\S+)/i.exec(line);
+    if (!match) continue;
+    try {
+      const sitemapUrl = new URL(match[1], origin).href;
+      if (!sitemapUrls.includes(sitemapUrl)) {
+        sitemapUrls.push(sitemapUrl);
+      }
+    } catch (error) {
+      console.error(`Ignoring invalid Sitemap directive in robots.txt: ${match[1]}`);
+    }
+  }
+  return sitemapUrls;
+}
+
+/**
+ * Checks whether a URL answers 200, used to probe the fallback sitemap locations
+ * @param {string} url - URL to probe
+ * @param {Object} requestOptions - Extra axios options (headers, timeout...)
+ * @param {Object|null} rateLimiter - Host rate limiter to wait for, if any
+ * @returns {Promise<boolean>} - True if the URL exists
+ */
+async function urlExists(url, requestOptions = {}, rateLimiter = null) {
+  try {
+    if (rateLimiter) await rateLimiter.acquire(url);
+    const response = await axios.get(url, {
+      ...requestOptions,
+      responseType: 'arraybuffer',
+      validateStatus: () => true,
+    });
+    return response.status === 200;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Discovers the sitemaps of a site from its robots.txt, falling back to the usual locations
+ * @param {string} origin - Site origin, e.g. https://www.example.com
+ * @param {Object} requestOptions - Extra axios options (headers, timeout...)
+ * @param {Object|null} rateLimiter - Host rate limiter the requests wait for, if any
+ * @returns {Promise<Array<Object>>} - Discovered sitemaps as { url, source }
+ */
+async function discoverSitemaps(origin, requestOptions = {}, rateLimiter = null) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+  const { content: robotsTxt } = await fetchRobotsTxt(origin, requestOptions, rateLimiter);
+
+  if (robotsTxt) {
+    const declared = parseSitemapDirectives(robotsTxt, origin);
+    if (declared.length > 0) {
+      console.log(`Found ${declared.length} sitemaps in ${robotsUrl}`);
+      return declared.map((url) => ({ url, source: robotsUrl }));
+    }
+    console.log(`No Sitemap directive found in ${robotsUrl}`);
+  }
+
+  const discovered = [];
+  for (const fallbackPath of FALLBACK_SITEMAP_PATHS) {
+    const url = new URL(fallbackPath, origin).href;
+    if (await urlExists(url, requestOptions, rateLimiter)) {
+      console.log(`Found sitemap at fallback location ${url}`);
+      discovered.push({ url, source: `fallback ${fallbackPath}` });
+    }
+  }
+
+  if (discovered.length === 0) {
+    console.error(`No sitemap found for ${origin}`);
+  }
+  return discovered;
+}
+
+/**
+ * Parses the user-agent groups of a robots.txt file
+ * Consecutive User-agent lines share the rules that follow them, as in RFC 9309
+ * @param {string} robotsTxt - robots.txt content
+ * @returns {Array<Object>} - Groups as { userAgents, rules }, where userAgents are lowercased
+ *   and rules are { type: 'allow'|'disallow', path }
+ */
+function parseRobotsGroups(robotsTxt) {
+  const groups = [];
+  let current = null;
+  let lastWasUserAgent = false;
+
+  for (const rawLine of robotsTxt.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = /^([a-z-]+)\s*:\s*(.*)$/i.exec(line);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      if (!current || !lastWasUserAgent) {
+        current = { userAgents: [], rules: [] };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      lastWasUserAgent = true;
+      continue;
+    }
+
+    lastWasUserAgent = false;
+    if ((field === 'allow' || field === 'disallow') && current) {
+      current.rules.push({ type: field, path: value });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Selects the rules that apply to a crawler: those of the groups with the most specific
+ * matching user agent, or of the `*` groups if none matches
+ * @param {Array<Object>} groups - Groups returned by parseRobotsGroups
+ * @param {string} userAgent - Crawler user agent, e.g. Googlebot or Googlebot-Image/1.0
+ * @returns {Array<Object>} - Rules as { type, path }
+ */
+function getRulesForUserAgent(groups, userAgent) {
+  // Only the product token counts: "Googlebot-Image/1.0" is matched as "googlebot-image"
+  const token = userAgent.split('/')[0].trim().toLowerCase();
+
+  let bestAgent = null;
+  for (const group of groups) {
+    for (const agent of group.userAgents) {
+      if (agent !== '*' && token.startsWith(agent) && (!bestAgent || agent.length > bestAgent.length)) {
+        bestAgent = agent;
+      }
+    }
+  }
+
+  const selectedAgent = bestAgent || '*';
+  return groups
+    .filter((group) => group.userAgents.includes(selectedAgent))
+    .flatMap((group) => group.rules);
+}
+
+/**
+ * Checks whether a robots.txt path pattern matches a path
+ * `*` matches any sequence of characters and a trailing `$` anchors the end of the path
+ * @param {string} pattern - Allow/Disallow value
+ * @param {string} urlPath - Path and query of the URL
+ * @returns {boolean} - True if the pattern matches
+ */
+function matchesRobotsPattern(pattern, urlPath) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+/**
+ * Evaluates a URL against robots.txt rules. The longest matching pattern wins and Allow
+ * wins a tie with Disallow, as Google does
+ * @param {Array<Object>} rules - Rules returned by getRulesForUserAgent
+ * @param {string} url - URL to evaluate
+ * @returns {Object} - { blocked, rule }, where rule is the deciding directive (e.g.
+ *   "Disallow: /private/") or empty if no rule matched
+ */
+function evaluateRobotsRules(rules, url) {
+  const { pathname, search } = new URL(url);
+  const urlPath = `${pathname}${search}`;
+  // robots.txt itself is always crawlable
+  if (pathname === '/robots.txt') {
+    return { blocked: false, rule: '' };
+  }
+
+  let decisive = null;
+  for (const rule of rules) {
+    // An empty Disallow allows everything and never decides
+    if (!rule.path || !matchesRobotsPattern(rule.path, urlPath)) continue;
+    if (
+      !decisive ||
+      rule.path.length > decisive.path.length ||
+      (rule.path.length === decisive.path.length && rule.type === 'allow')
+    ) {
+      decisive = rule;
+    }
+  }
+
+  if (!decisive) {
+    return { blocked: false, rule: '' };
+  }
+  const label = decisive.type === 'allow' ? 'Allow' : 'Disallow';
+  return { blocked: decisive.type === 'disallow', rule: `${label}: ${decisive.path}` };
+}
+
+/**
+ * Creates a checker that fetches the robots.txt of each host once and evaluates URLs
+ * against the rules for one crawler
+ * @param {string} userAgent - Crawler user agent the rules are evaluated for
+ * @param {Object|Function} requestOptions - Extra axios options (headers, timeout...), or a
+ *   function returning them for an origin
+ * @param {Object|null} rateLimiter - Host rate limiter the robots.txt requests wait for, if any
+ * @returns {Object} - { check(url) } resolving to { blocked, rule }, rule being
+ *   "robots.txt unavailable (...)" for every URL of a host whose robots.txt could not be fetched
+ */
+function createRobotsChecker(userAgent, requestOptions = {}, rateLimiter = null) {
+  const rulesByOrigin = new Map();
+
+  const getRules = (origin) => {
+    if (!rulesByOrigin.has(origin)) {
+      // Cache the promise so URLs checked in parallel share a single fetch
+      rulesByOrigin.set(
+        origin,
+        fetchRobotsTxt(
+          origin,
+          typeof requestOptions === 'function' ? requestOptions(origin) : requestOptions,
+          rateLimiter
+        ).then(({ content, unavailable, reason }) => {
+          if (unavailable) {
+            console.log(`robots.txt of ${origin} unavailable (${reason}), treating all URLs as disallowed`);
+            return { rules: [], unavailableReason: reason };
+          }
+          if (content === null) {
+            console.log(`No robots.txt for ${origin} (${reason}), treating all URLs as allowed`);
+            return { rules: [], unavailableReason: '' };
+          }
+          return { rules: getRulesForUserAgent(parseRobotsGroups(content), userAgent), unavailableReason: '' };
+        })
+      );
+    }
+    return rulesByOrigin.get(origin);
+  };
+
+  async function check(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return { blocked: false, rule: '' };
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return { blocked: false, rule: '' };
+    }
+    const { rules, unavailableReason } = await getRules(parsedUrl.origin);
+    // An unreachable robots.txt blocks the whole site, except robots.txt itself
+    if (unavailableReason && parsedUrl.pathname !== '/robots.txt') {
+      return { blocked: true, rule: `robots.txt unavailable (${unavailableReason})` };
+    }
+    return evaluateRobotsRules(rules, url);
+  }
+
+  return { check };
+}
+
+module.exports = {
+  fetchRobotsTxt,
+  parseSitemapDirectives,
+  discoverSitemaps,
+  parseRobotsGroups,
+  getRulesForUserAgent,
+  matchesRobotsPattern,
+  evaluateRobotsRules,
+  createRobotsChecker,
+};
@@ -2,7 +2,14 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
-const { sitemaps } = require('./sitemapconfig');
+const { sitemaps, proxy } = require('./sitemapconfig');
+const { REDIRECT_STATUSES, isRedirectStatus, getRedirectType } = require('./redirects');
+const { discoverSitemaps } = require('./robots_txt');
+const { createRequestSettings } = require('./request_settings');
+const { toSitemapUrl, isLocalSitemap } = require('./sitemap_loader');
+const { isSummaryRow, getFormattedSitemapName } = require('./sitemap');
+
+const TIMEOUT = 5000; // Timeout of the robots.txt requests made to discover sitemaps
 
 /**
  * Run a command as a Promise
@@ -150,21 +157,15 @@ async function convertCsvToOpportunityJson(csvPath, sitemapUrl, siteId) {
   const headers = rows[0];
   const dataRows = rows.slice(1).filter((row) => {
     // Skip summary rows and empty rows
-    return (
-      row[0] &&
-      !row[0].includes('Total URLs Checked:') &&
-      !row[0].includes('Successful (200):') &&
-      !row[0].includes('Redirects:') &&
-      !row[0].includes('Errors:') &&
-      !row[0].includes('Not OK Percentage:') &&
-      !row[0].includes('Redundant URLs:')
-    );
+    return row[0] && !isSummaryRow(row[0]);
   });
 
   // Find index of relevant columns
   const urlIndex = headers.findIndex((h) => h === 'URL');
   const statusIndex = headers.findIndex((h) => h === 'Status');
   const redirectUrlIndex = headers.findIndex((h) => h === 'Redirect URL');
+  // End of the redirect chain, only present in reports that follow full chains
+  const urlSuggestedIndex = headers.findIndex((h) => h === 'URL Suggested');
 
   if (urlIndex === -1 || statusIndex === -1 || redirectUrlIndex === -1) {
     throw new Error(
@@ -181,11 +182,15 @@ async function convertCsvToOpportunityJson(csvPath, sitemapUrl, siteId) {
   const suggestions = [];
   for (const row of dataRows) {
     // Check if the row has the necessary data
-    if (row[statusIndex] === '301' || row[statusIndex] === '302') {
+    if (isRedirectStatus(row[statusIndex])) {
       suggestions.push({
         url: row[urlIndex],
         status: row[statusIndex],
-        urlSuggested: row[redirectUrlIndex] || '',
+        redirectType: getRedirectType(row[statusIndex]),
+        urlSuggested:
+          (urlSuggestedIndex !== -1 && row[urlSuggestedIndex]) ||
+          row[redirectUrlIndex] ||
+          '',
       });
     } else if (row[statusIndex] === '404') {
       // For 404 errors, try to suggest a similar URL
@@ -224,6 +229,7 @@ async function convertCsvToOpportunityJson(csvPath, sitemapUrl, siteId) {
         error: null,
         urlsSuggested: suggestion.urlSuggested,
         statusCode: parseInt(suggestion.status, 10),
+        redirectType: suggestion.redirectType || null,
       },
       createdAt: now,
       updatedAt: now,
@@ -262,15 +268,41 @@ async function runSitemapCheckAndCreateOpportunity(sitemapIndex = 0) {
     }
 
     const sitemapConfig = sitemaps[sitemapIndex];
-    console.log(`Processing sitemap: ${sitemapConfig.url}`);
+    // Entries that only declare an origin get their sitemaps discovered from robots.txt
+    let sitemapUrls;
+    if (sitemapConfig.url) {
+      sitemapUrls = [toSitemapUrl(sitemapConfig.url)];
+    } else if (sitemapConfig.origin) {
+      const requestSettings = createRequestSettings(sitemaps, { proxy });
+      const discovered = await discoverSitemaps(
+        sitemapConfig.origin,
+        requestSettings.applySiteSettings(sitemapConfig.origin, { timeout: TIMEOUT })
+      );
+      sitemapUrls = discovered.map((sitemap) => sitemap.url);
+      if (sitemapUrls.length === 0) {
+        throw new Error(`No sitemap found for ${sitemapConfig.origin}`);
+      }
+    } else {
+      throw new Error(
+        `Entry ${sitemapIndex} of sitemapconfig.js declares neither a url nor an origin`
+      );
+    }
+    console.log(`Processing sitemap: ${sitemapUrls.join(', ')}`);
 
-    // Run the sitemap check
-    await runCommand('node', ['sitemap.js', sitemapIndex.toString()]);
+    // Run the sitemap check on these sitemaps only (sitemap.js takes sitemap URLs as arguments)
+    await runCommand('node', ['sitemap.js', ...sitemapUrls]);
 
-    // Extract the domain from the sitemap URL
-    const domain = new URL(sitemapConfig.url).hostname.replace(/\./g, '_');
+    // Extract the domain from the sitemap URL (sitemap.js writes local sitemaps to results/local)
+    const domain = isLocalSitemap(sitemapUrls[0])
+      ? 'local'
+      : new URL(sitemapUrls[0]).hostname.replace(/\./g, '_');
     const resultsDir = path.join(__dirname, 'results', domain);
 
+    // Result CSVs are named after the sitemap that produced them
+    const sitemapUrlByName = new Map(
+      sitemapUrls.map((url) => [getFormattedSitemapName(url), url])
+    );
+
     // Find the most recent CSV result files for each sitemap
     const csvFiles = {};
 
@@ -304,8 +336,7 @@ async function runSitemapCheckAndCreateOpportunity(sitemapIndex = 0) {
       // Check for redirects in the CSV
       const fileContent = fs.readFileSync(csvPath, 'utf8');
       if (
-        fileContent.includes('301') ||
-        fileContent.includes('302') ||
+        REDIRECT_STATUSES.some((status) => fileContent.includes(String(status))) ||
         fileContent.includes('404')
       ) {
         console.log(
@@ -314,10 +345,10 @@ async function runSitemapCheckAndCreateOpportunity(sitemapIndex = 0) {
         redirectSitemaps.push({
           name: sitemapName,
           path: csvPath,
-          sitemapUrl: `${sitemapConfig.url.replace(
-            'sitemap-index.xml',
-            `sitemap-${sitemapName}.xml`
-          )}`,
+          // Children of an index are not in the list: their URL is derived from the index URL
+          sitemapUrl:
+            sitemapUrlByName.get(sitemapName) ||
+            sitemapUrls[0].replace('sitemap-index.xml', `sitemap-${sitemapName}.xml`),
         });
       } else {
         console.log(`No issues found in sitemap: ${sitemapName}`);
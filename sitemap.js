@@ -1,21 +1,86 @@
 const axios = require('axios');
 const fs = require('fs');
-const xml2js = require('xml2js');
-const { sitemapUrls } = require('./sitemapconfig'); // import multiple sitemaps
+const { sitemaps, proxy } = require('./sitemapconfig'); // import multiple sitemaps and the global proxy
 const path = require('path');
+const {
+  decodeSitemapStream,
+  loadSitemap,
+  formatBytes,
+  isLocalSitemap,
+  openLocalSitemap,
+  resolveChildSitemapUrl,
+  rewriteUrlOrigin,
+  resolveSitemapsToCheck,
+} = require('./sitemap_loader');
+const {
+  extractUrlMetadata,
+  createMetadataValidator,
+} = require('./sitemap_metadata');
+const {
+  extractMedia,
+  validateMedia,
+  getMediaAssetUrls,
+} = require('./sitemap_media');
+const { extractAlternates, analyzeHreflang } = require('./hreflang');
+const { validateSitemapProtocol, createProtocolValidator } = require('./sitemap_protocol');
+const { extractCanonicals, analyzeCanonical } = require('./canonical');
+const { createRequestSettings, getSiteHosts } = require('./request_settings');
+const { discoverSitemaps, createRobotsChecker } = require('./robots_txt');
+const { isRedirectStatus, getRedirectType, REDIRECT_TYPE } = require('./redirects');
+const { createHostRateLimiter, THROTTLE_STATUSES } = require('./rate_limiter');
+const { classifyNetworkError, countNetworkErrors, addNetworkErrorCounts } = require('./network_errors');
+const { getRobotsDirectives } = require('./robots_directives');
+const { parseUserAgentArgs, compareProfileResponses } = require('./user_agents');
+const { timedRequest, formatPercentiles, getResponseTimeStats } = require('./response_timing');
+const { analyzeUrlConsistency } = require('./url_consistency');
+const { checkUrlHygiene, countUrlHygieneRules, URL_HYGIENE_RULES } = require('./url_hygiene');
 
 // Rate limiting configuration to prevent 429 errors
 const CONCURRENCY_LIMIT = 3; // Reduced from 10 to 3 concurrent requests
-const REQUEST_DELAY = 500; // 500ms delay between requests
-const RETRY_ATTEMPTS = 3; // Number of retry attempts for 429 errors
-const RETRY_DELAY = 2000; // Base delay for retries (2 seconds)
+const REQUESTS_PER_SECOND = 4; // Starting request rate for each host, lowered on 429/503
+const MIN_REQUESTS_PER_SECOND = 0.25; // Slowest rate a throttling host is brought down to
+const RETRY_ATTEMPTS = 3; // Number of retry attempts for 429, 5xx and transient network errors
+const RETRY_DELAY = 2000; // Base delay for retries (2 seconds, doubling, jittered for 5xx and network errors)
+const RETRY_STATUSES = [429, 500, 502, 503, 504]; // Statuses retried before being recorded
+// Network errors that usually go away on their own (connection reset, timeouts, DNS hiccups)
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
 const TIMEOUT = 5000; // 5 seconds timeout
 
+// Sitemap index configuration
+const SITEMAP_CONCURRENCY = 2; // Number of child sitemaps of an index processed at once
+const MAX_SITEMAP_DEPTH = 3; // Maximum nesting depth of sitemap indexes
+const QUEUE_MAX_PENDING = 100; // URLs parsed ahead of the checks before the sitemap stream is paused
+
+// Redirect chain configuration
+const MAX_REDIRECT_HOPS = 10; // Maximum number of redirects followed for one URL
+
+// Crawler whose robots.txt rules sitemap URLs are evaluated against
+const ROBOTS_USER_AGENT = 'Googlebot';
+
+// User-agent profile of every request (see user_agents.js), overridden by --user-agent=<profile>
+// --compare-user-agents[=<profile>,...] also requests each URL as several profiles
+const USER_AGENT_PROFILE = 'desktop-browser';
+
+// Canonical check configuration
+const CHECK_CANONICALS = true; // Fetch every 200 URL to compare it with its canonical
+
+// Response time configuration
+const SLOW_URL_THRESHOLD = 2000; // Total time (ms) above which a URL is listed as slow
+const HEAD_FALLBACK_WARNING_RATIO = 0.2; // Share of HEAD requests falling back to GET that triggers a warning for a host
+const HEAD_UNSUPPORTED_STATUSES = [405, 501]; // HEAD answers meaning the method is not supported, retried with GET
+
 // Sleep utility function
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Function to compute the delay before a retry: exponential backoff with jitter, so URLs
+// that failed together do not all retry at the same moment
+function getRetryDelay(attempt) {
+  const backoff = RETRY_DELAY * Math.pow(2, attempt - 1);
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
 /**
  * Find the closest matching URL for a 404 error
  * @param {string} notFoundUrl - The URL that returned 404
@@ -90,138 +155,351 @@ function findSimilarUrl(notFoundUrl, validUrls) {
 // Function to fetch XML from a given URL
 async function fetchXml(url) {
   try {
+    // Local sitemaps (pre-deployment validation) are streamed from disk
+    if (isLocalSitemap(url)) {
+      console.log(`Reading local sitemap ${url}...`);
+      return decodeSitemapStream(url, await openLocalSitemap(url), '');
+    }
+
     console.log(`Fetching XML from ${url}...`);
 
     // Configure request options
     const requestOptions = {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        //'User-Agent': 'AhrefsBot',
+        'User-Agent': userAgentProfile.userAgent,
       },
     };
 
-    const response = await axios.get(url, requestOptions);
-    console.log(`Successfully fetched XML from ${url}`);
-    return response.data;
+    // Stream the raw bytes so large sitemaps are parsed as they arrive, and gzip-compressed
+    // sitemaps (.xml.gz) are decompressed on the fly
+    requestOptions.responseType = 'stream';
+
+    // Sitemaps count against the request rate of their host like the URLs they list
+    await hostRateLimiter.acquire(url);
+    const response = await axios.get(url, requestSettings.applySiteSettings(url, requestOptions));
+    console.log(`Streaming XML from ${url}`);
+    return decodeSitemapStream(url, response.data, response.headers['content-type']);
   } catch (error) {
     console.error(`Error fetching XML from ${url}: ${error.message}`);
-    return null;
+    return { content: null, error: error.message };
   }
 }
 
-// Function to parse the fetched XML
-async function parseXml(xml) {
-  const parser = new xml2js.Parser();
+// Function to turn an xml2js <url> node into a sitemap entry
+function toSitemapEntry(urlNode) {
+  // Keep lastmod, changefreq, priority and image/video/news extensions for validation
+  return {
+    ...extractUrlMetadata(urlNode),
+    media: extractMedia(urlNode),
+    alternates: extractAlternates(urlNode),
+  };
+}
+
+// Function to point the URLs of a sitemap entry at the staging origin instead of the live one
+function rewriteEntryOrigin(entry, stagingOrigin) {
+  let liveOrigin;
   try {
-    console.log('Parsing XML...');
-    return await parser.parseStringPromise(xml);
+    liveOrigin = new URL(entry.loc).origin;
   } catch (error) {
-    console.error(`Error parsing XML: ${error.message}`);
-    return null;
+    return entry;
   }
+  const rewrite = (url) => (url ? rewriteUrlOrigin(url, stagingOrigin, liveOrigin) : url);
+  return {
+    ...entry,
+    loc: rewrite(entry.loc),
+    alternates: entry.alternates.map((alternate) => ({ ...alternate, href: rewrite(alternate.href) })),
+    media: {
+      ...entry.media,
+      images: entry.media.images.map((image) => ({ ...image, loc: rewrite(image.loc) })),
+      videos: entry.media.videos.map((video) => ({
+        ...video,
+        contentLoc: rewrite(video.contentLoc),
+        thumbnailLoc: rewrite(video.thumbnailLoc),
+        playerLoc: rewrite(video.playerLoc),
+      })),
+    },
+  };
 }
 
-// Function to extract URLs from sitemap or sitemap index
-async function getSitemapsOrUrls(xmlContent) {
-  const parsedXml = await parseXml(xmlContent);
-
-  if (!parsedXml) {
-    throw new Error('Failed to parse XML content');
-  }
+// Function to extract URLs from sitemap or sitemap index, calling onUrl for each URL as it is parsed
+// Accepts XML sitemaps and indexes, RSS 2.0/Atom feeds and plain-text sitemaps (string or stream)
+// onUrl is called with (url, entry, loc): the URL to check (rewritten to the staging origin if
+// any), the entry and the <loc> value as written in the sitemap. It may return a promise to
+// pause the stream until the URL can be queued. Entries and URLs of a urlset are not kept: only
+// the metadata and protocol validations and the entries with media or hreflang alternates are.
+// For an index, `urls` are the children to process and `declaredUrls` their <loc> values
+async function getSitemapsOrUrls(content, onUrl, { sitemapUrl = '', stagingOrigin = null } = {}) {
+  const metadataValidator = createMetadataValidator(sitemapUrl);
+  const protocolValidator = createProtocolValidator(sitemapUrl);
+  const mediaEntries = [];
+  const alternateEntries = [];
+  const sitemapData = await loadSitemap(content, {
+    onEntry: (loc, node) => {
+      let entry = toSitemapEntry(node);
+      if (stagingOrigin) {
+        entry = rewriteEntryOrigin(entry, stagingOrigin);
+      }
+      protocolValidator.add(loc);
+      metadataValidator.add(entry);
+      const { images, videos, news } = entry.media;
+      if (images.length > 0 || videos.length > 0 || news.length > 0) {
+        mediaEntries.push({ loc: entry.loc, media: entry.media });
+      }
+      if (entry.alternates.length > 0) {
+        alternateEntries.push({ loc: entry.loc, alternates: entry.alternates });
+      }
+      return onUrl ? onUrl(entry.loc, entry, loc) : null;
+    },
+  });
 
-  if (parsedXml.sitemapindex && parsedXml.sitemapindex.sitemap) {
-    console.log('Detected sitemap index with multiple sitemaps');
-    return {
-      type: 'index',
-      urls: parsedXml.sitemapindex.sitemap.map((sitemap) => sitemap.loc[0].trim()),
-    };
-  } else if (parsedXml.urlset && parsedXml.urlset.url) {
-    console.log(`Detected sitemap with ${parsedXml.urlset.url.length} URLs`);
-    return {
-      type: 'sitemap',
-      urls: parsedXml.urlset.url.map((url) => url.loc[0].trim()),
-    };
-  } else {
-    throw new Error(
-      'Invalid XML format: Neither sitemap index nor sitemap detected'
-    );
+  if (sitemapData.type === 'index') {
+    const urls = sitemapData.urls.map((loc) => {
+      const childUrl = resolveChildSitemapUrl(loc, sitemapUrl);
+      return stagingOrigin ? rewriteUrlOrigin(childUrl, stagingOrigin) : childUrl;
+    });
+    return { ...sitemapData, urls, declaredUrls: sitemapData.urls };
   }
+  return {
+    ...sitemapData,
+    protocolValidator,
+    metadata: metadataValidator.finish(),
+    mediaEntries,
+    alternateEntries,
+  };
 }
 
-// Function to check the status of a URL with retry logic for 429 errors
-async function checkUrlStatus(url, attempt = 1) {
+// Function to request a URL without following redirects, retrying 429, 5xx and transient
+// network errors. `attempts` counts the requests made, `retryOutcome` is 'Intermittent' when
+// the URL failed and then answered, 'Persistent' when every attempt failed. `fellBackToGet`
+// tells retries that the HEAD fallback of this URL was already counted
+async function requestUrl(url, attempt = 1, failures = [], fellBackToGet = false) {
+  // Wait for the rate limit budget of the host, including any Retry-After pause
+  await hostRateLimiter.acquire(url);
+
+  // Configure request options, with the headers, cookies, auth and proxy configured for the site
+  const requestOptions = requestSettings.applySiteSettings(url, {
+    headers: {
+      'User-Agent': userAgentProfile.userAgent,
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'DNT': '1',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+    },
+    maxRedirects: 0, // prevent following redirects
+    validateStatus: (status) => status < 500, // accept everything except 5xx server errors
+    timeout: TIMEOUT,
+  });
+  // Proxy the request went through, to trace regional differences
+  const proxyUsed = requestSettings.getProxyUsed(requestOptions);
+
+  let response;
+  // Time to first byte, total time and body size of the request that answered
+  let timing;
+  // Retries of a URL are not new requests for the HEAD fallback ratio
+  const headStats = getHeadFallbackStats(url);
+  if (attempt === 1) {
+    headStats.requests++;
+  }
   try {
-    // Add delay between requests to avoid overwhelming the server
-    if (attempt === 1) {
-      await sleep(REQUEST_DELAY);
-    }
-
-    // Configure request options
-    const requestOptions = {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-      },
-      maxRedirects: 0, // prevent following redirects
-      validateStatus: (status) => status < 500, // accept everything except 5xx server errors
-      timeout: TIMEOUT,
-    };
-
-    let response;
-
+    let headFailure = '';
     try {
       // First, try HEAD request for faster checking
-      response = await axios.head(url, requestOptions);
+      response = await timedRequest('head', url, requestOptions);
+      if (HEAD_UNSUPPORTED_STATUSES.includes(response.status)) {
+        headFailure = response.status;
+      }
     } catch (headError) {
-      // If HEAD fails, fallback to GET request
-      console.log(`HEAD request failed for ${url}, falling back to GET: ${headError.response?.status || headError.message}`);
-      response = await axios.get(url, requestOptions);
+      // A throttling host must not get a second request right away
+      if (headError.response && THROTTLE_STATUSES.includes(headError.response.status)) {
+        throw headError;
+      }
+      headFailure = headError.response?.status || headError.message;
     }
-
-    // Handle 3xx redirects
-    if (response.status === 301 || response.status === 302) {
+    if (headFailure) {
+      // If HEAD fails, fallback to GET request: every such URL costs two requests
+      console.log(`HEAD request failed for ${url}, falling back to GET: ${headFailure}`);
+      if (!fellBackToGet) {
+        headStats.fallbacks++;
+        fellBackToGet = true;
+      }
+      // The GET is a second request to the host: it needs a slot of its own
+      await hostRateLimiter.acquire(url);
+      response = await timedRequest('get', url, requestOptions);
+    }
+    timing = response.timing;
+  } catch (error) {
+    timing = error.timing;
+    if (!error.response) {
+      if (TRANSIENT_ERROR_CODES.includes(error.code) && attempt <= RETRY_ATTEMPTS) {
+        const retryDelay = getRetryDelay(attempt);
+        console.log(`${error.code} for ${url}, retrying in ${retryDelay}ms (attempt ${attempt}/${RETRY_ATTEMPTS})`);
+        await sleep(retryDelay);
+        return requestUrl(url, attempt + 1, [...failures, error.code], fellBackToGet);
+      }
+      // No HTTP status: record what went wrong instead (DNS, TLS, timeout, refused...)
+      const { category, code, message } = classifyNetworkError(error);
+      console.log(`${category} (${code}) for ${url}${proxyUsed ? ` via ${proxyUsed}` : ''}: ${message}`);
       return {
         url,
-        status: response.status,
-        redirectUrl: response.headers.location,
+        status: '',
+        errorCategory: category,
+        errorCode: code,
+        proxy: proxyUsed,
+        timing,
+        attempts: attempt,
+        retryOutcome: failures.length > 0 ? 'Persistent' : '',
       };
     }
+    // 5xx server errors
+    response = error.response;
+  }
 
-    return { url, status: response.status };
-  } catch (error) {
-    // Handle 429 Too Many Requests with retry logic
-    if (error.response && error.response.status === 429 && attempt <= RETRY_ATTEMPTS) {
-      const retryDelay = RETRY_DELAY * Math.pow(2, attempt - 1); // Exponential backoff
-      console.log(`429 error for ${url}, retrying in ${retryDelay}ms (attempt ${attempt}/${RETRY_ATTEMPTS})`);
+  // 429 Too Many Requests and 503 Service Unavailable slow the host down in the limiter,
+  // which holds the retry until its Retry-After (or backoff) pause is over. Other server
+  // errors wait for a jittered backoff
+  hostRateLimiter.recordResponse(url, response.status, response.headers['retry-after']);
+  const isRetryable = RETRY_STATUSES.includes(response.status);
+  if (isRetryable && attempt <= RETRY_ATTEMPTS) {
+    if (THROTTLE_STATUSES.includes(response.status)) {
+      console.log(`${response.status} error for ${url}, retrying (attempt ${attempt}/${RETRY_ATTEMPTS})`);
+    } else {
+      const retryDelay = getRetryDelay(attempt);
+      console.log(`${response.status} error for ${url}, retrying in ${retryDelay}ms (attempt ${attempt}/${RETRY_ATTEMPTS})`);
       await sleep(retryDelay);
-      return checkUrlStatus(url, attempt + 1);
     }
+    return requestUrl(url, attempt + 1, [...failures, response.status], fellBackToGet);
+  }
+  if (isRetryable) {
+    console.log(`${response.status} error for ${url} - exceeded retry attempts`);
+  }
+
+  let retryOutcome = '';
+  if (isRetryable) {
+    retryOutcome = 'Persistent';
+  } else if (failures.length > 0) {
+    retryOutcome = 'Intermittent';
+    console.log(`${url} answered ${response.status} after failing with ${failures.join(', ')}`);
+  }
+
+  // Handle 3xx redirects (301, 302, 303, 307 and 308)
+  if (isRedirectStatus(response.status)) {
+    return {
+      url,
+      status: response.status,
+      redirectUrl: response.headers.location,
+      attempts: attempt,
+      retryOutcome,
+      proxy: proxyUsed,
+      timing,
+    };
+  }
 
-    // Handle other 4xx and 5xx errors, or exhausted retries
-    const errorStatus = error.response ? error.response.status : 'Network Error';
+  return { url, status: response.status, attempts: attempt, retryOutcome, proxy: proxyUsed, timing };
+}
 
-    // Log 429 errors that exceeded retry attempts
-    if (error.response && error.response.status === 429) {
-      console.log(`429 error for ${url} - exceeded retry attempts`);
+// Function to check the status of a URL, following its redirect chain up to MAX_REDIRECT_HOPS
+// `status` and `redirectUrl` describe the first response, `finalUrl` and `finalStatus` the
+// end of the chain, and `redirectChain` lists every response as { url, status }
+async function checkUrlStatus(url) {
+  const redirectChain = [];
+  const chainIssues = [];
+  const seen = new Set([url]);
+  let currentUrl = url;
+  let firstLocation = '';
+  let attempts = 0;
+  const retryOutcomes = [];
+
+  while (true) {
+    const response = await requestUrl(currentUrl);
+    redirectChain.push({
+      url: currentUrl,
+      status: response.status,
+      errorCategory: response.errorCategory || '',
+      errorCode: response.errorCode || '',
+      proxy: response.proxy,
+      timing: response.timing,
+    });
+    attempts += response.attempts;
+    retryOutcomes.push(response.retryOutcome);
+    if (!response.redirectUrl) break;
+    if (redirectChain.length === 1) {
+      firstLocation = response.redirectUrl;
     }
 
-    return { url, status: errorStatus };
+    let nextUrl;
+    try {
+      nextUrl = new URL(response.redirectUrl, currentUrl).href;
+    } catch (error) {
+      chainIssues.push(`Invalid Location header: ${response.redirectUrl}`);
+      break;
+    }
+    if (seen.has(nextUrl)) {
+      chainIssues.push(`Redirect loop back to ${nextUrl}`);
+      break;
+    }
+    if (redirectChain.length > MAX_REDIRECT_HOPS) {
+      chainIssues.push(`More than ${MAX_REDIRECT_HOPS} redirects`);
+      break;
+    }
+    seen.add(nextUrl);
+    currentUrl = nextUrl;
   }
+
+  const first = redirectChain[0];
+  const last = redirectChain[redirectChain.length - 1];
+  const redirectHops = redirectChain.length - 1;
+  const completed = chainIssues.length === 0;
+  if (completed && redirectHops > 1) {
+    chainIssues.push(`Multi-hop redirect chain (${redirectHops} hops)`);
+  }
+  if (completed && redirectHops > 0 && last.status !== 200) {
+    chainIssues.push(`Redirect chain ends in ${last.status || last.errorCategory}`);
+  }
+
+  return {
+    url,
+    status: first.status,
+    redirectUrl: redirectHops > 0 ? redirectChain[1].url : firstLocation,
+    finalUrl: completed ? last.url : '',
+    finalStatus: completed ? last.status : '',
+    redirectHops,
+    redirectChain,
+    chainIssues,
+    // Network error of the last request made, if it got no HTTP response
+    errorCategory: last.errorCategory,
+    errorCode: last.errorCode,
+    // Proxies the chain was requested through (a rotating pool may use several)
+    proxy: Array.from(new Set(redirectChain.map((hop) => hop.proxy).filter(Boolean))).join(' | '),
+    // Response time and size of the URL itself, not of the redirect targets
+    timing: first.timing || { ttfb: '', totalTime: '', size: '' },
+    attempts,
+    // A hop that never recovered makes the whole check persistent
+    retryOutcome: retryOutcomes.includes('Persistent')
+      ? 'Persistent'
+      : retryOutcomes.includes('Intermittent')
+        ? 'Intermittent'
+        : '',
+  };
 }
 
 // Helper function to format the sitemap name from its URL
 function getFormattedSitemapName(sitemapUrl) {
   const urlObj = new URL(sitemapUrl);
   let pathname = urlObj.pathname; // e.g., '/resources/hr-glossary/sitemap.xml'
+  // Local sitemaps are named after the file only, not its full path on disk
+  if (isLocalSitemap(sitemapUrl)) {
+    pathname = path.basename(pathname);
+  }
   // Remove the leading slash if present
   if (pathname.startsWith('/')) {
     pathname = pathname.substring(1);
   }
+  // Remove the '.gz' extension of compressed sitemaps if present
+  if (pathname.endsWith('.gz')) {
+    pathname = pathname.slice(0, -3);
+  }
   // Remove the '.xml' extension if present
   if (pathname.endsWith('.xml')) {
     pathname = pathname.slice(0, -4);
@@ -237,9 +515,11 @@ function createResultsDirectory(sitemapUrl) {
     fs.mkdirSync(resultsDir);
   }
 
-  // Parse the sitemap URL to get the website name
+  // Parse the sitemap URL to get the website name (local sitemaps go to results/local)
   const parsedUrl = new URL(sitemapUrl);
-  const domainName = parsedUrl.hostname.replace(/\./g, '_');
+  const domainName = isLocalSitemap(sitemapUrl)
+    ? 'local'
+    : parsedUrl.hostname.replace(/\./g, '_');
 
   // Directory for the specific website
   const siteResultsDir = path.join(resultsDir, domainName);
@@ -264,6 +544,44 @@ function generateFilename(sitemapUrl, fileType = 'results') {
   );
 }
 
+// First cells of the summary rows written after the URL rows of a results CSV (keep in
+// step with the summary of processSitemap). Labels ending in a value are matched on their start
+const SUMMARY_ROW_LABELS = [
+  'Total URLs Checked:',
+  'Successful (200):',
+  'Redirects:',
+  'Permanent Redirects (301/308):',
+  'Temporary Redirects (302/303/307):',
+  'Redirect Chain Issues:',
+  'Errors:',
+  'Intermittent Errors:',
+  'Persistent Errors:',
+  'Checker Errors:',
+  'Network Errors: ',
+  'Redundant URLs:',
+  'Blocked by robots.txt:',
+  'Canonical Issues:',
+  'URL Consistency Issues:',
+  'URL Hygiene Issues:',
+  'Protocol Violations:',
+  'Not OK Percentage:',
+  'Response Time ',
+  'Slow URLs (over ',
+  'Sitemap Format:',
+  'Sitemap Size ',
+  'Elapsed Time ',
+];
+
+/**
+ * Tells the summary rows of a results CSV from its URL rows
+ * @param {string} firstCell - First cell of the row (the URL column)
+ * @returns {boolean} - True for a summary row
+ */
+function isSummaryRow(firstCell) {
+  const label = String(firstCell).trim();
+  return SUMMARY_ROW_LABELS.some((summaryLabel) => label.startsWith(summaryLabel));
+}
+
 // Function to normalize a URL for comparison
 function normalizeUrl(url, baseUrl) {
   try {
@@ -311,14 +629,170 @@ async function runWithConcurrency(tasks, limit, onProgress) {
 }
 
 /**
- * Detect duplicate URLs and write to CSV if any found
+ * Utility to cap the number of async calls running at once, shared by callers that
+ * run in parallel (e.g. child sitemaps of an index)
+ * @returns {Function} - run(fn) that resolves with the result of fn once a slot is free
  */
-function detectAndWriteDuplicates(urls, sitemapUrl) {
-  const urlCount = {};
-  for (const url of urls) {
-    urlCount[url] = (urlCount[url] || 0) + 1;
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  function next() {
+    if (active >= limit || waiting.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    fn()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
   }
-  const duplicates = Object.entries(urlCount).filter(([_, count]) => count > 1);
+
+  return function run(fn) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
+
+// Overall cap on concurrent URL checks, respected across sitemaps processed in parallel
+const limitRequest = createLimiter(CONCURRENCY_LIMIT);
+
+// Request rate of each host, adapted to the 429/503 responses and Retry-After headers it sends
+const hostRateLimiter = createHostRateLimiter({
+  requestsPerSecond: REQUESTS_PER_SECOND,
+  minRequestsPerSecond: MIN_REQUESTS_PER_SECOND,
+  backoffDelay: RETRY_DELAY,
+});
+
+// User-agent profile of the requests, and the profiles compared with --compare-user-agents
+const { profile: userAgentProfile, compareProfiles } = parseUserAgentArgs(
+  process.argv.slice(2),
+  USER_AGENT_PROFILE
+);
+
+// HEAD requests made to each host and how many of them had to be repeated as GET
+const headFallbackStats = new Map();
+
+// Function to get the HEAD fallback counters of the host of a URL
+function getHeadFallbackStats(url) {
+  let host;
+  try {
+    host = new URL(url).host;
+  } catch (error) {
+    host = url;
+  }
+  if (!headFallbackStats.has(host)) {
+    headFallbackStats.set(host, { host, requests: 0, fallbacks: 0 });
+  }
+  return headFallbackStats.get(host);
+}
+
+// Headers, cookies, user agent, basic auth and proxy declared in sitemapconfig.js
+const requestSettings = createRequestSettings(sitemaps, { proxy });
+
+// Hosts of the sitemaps entries declaring `caseInsensitivePaths`, where /Page and /page are the same page
+const caseInsensitiveHosts = new Set(
+  sitemaps.filter((site) => site.caseInsensitivePaths).flatMap((site) => getSiteHosts(site))
+);
+
+// robots.txt of each host, fetched once per run
+const robotsChecker = createRobotsChecker(
+  ROBOTS_USER_AGENT,
+  (origin) =>
+    requestSettings.applySiteSettings(origin, {
+      headers: {
+        'User-Agent': userAgentProfile.userAgent,
+      },
+      timeout: TIMEOUT,
+    }),
+  hostRateLimiter
+);
+
+/**
+ * Utility to run async tasks with concurrency limit while tasks are still being added,
+ * e.g. URLs emitted by the streaming sitemap parser. push() resolves once fewer than
+ * `maxPending` tasks wait to start, so the producer can pause instead of queuing everything
+ * @returns {Object} - { push(task): Promise, close(): Promise<Array>, cancel() }
+ */
+function createConcurrencyQueue(limit, onProgress, maxPending = QUEUE_MAX_PENDING) {
+  const pending = [];
+  const results = [];
+  let queued = 0;
+  let active = 0;
+  let completed = 0;
+  let closed = false;
+  let capacityWaiters = [];
+  let resolveDone;
+  const done = new Promise((resolve) => {
+    resolveDone = resolve;
+  });
+
+  function checkDone() {
+    if (closed && active === 0 && pending.length === 0) {
+      resolveDone(results);
+    }
+  }
+
+  function releaseWaiters() {
+    if (pending.length >= maxPending || capacityWaiters.length === 0) return;
+    const waiters = capacityWaiters;
+    capacityWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  function pump() {
+    while (active < limit && pending.length > 0) {
+      const { task, position } = pending.shift();
+      active++;
+      task()
+        .catch(() => undefined)
+        .then((result) => {
+          results[position] = result;
+          active--;
+          completed++;
+          // Print progress every 100 URLs, and always for the first and last
+          if (
+            onProgress &&
+            (completed === 1 || completed % 100 === 0 || (closed && completed === queued))
+          ) {
+            onProgress(completed, queued, closed);
+          }
+          pump();
+          checkDone();
+        });
+    }
+    releaseWaiters();
+  }
+
+  return {
+    push(task) {
+      pending.push({ task, position: queued++ });
+      pump();
+      if (pending.length < maxPending) return Promise.resolve();
+      return new Promise((resolve) => capacityWaiters.push(resolve));
+    },
+    close() {
+      closed = true;
+      checkDone();
+      return done;
+    },
+    // Drop the tasks that have not started yet
+    cancel() {
+      pending.length = 0;
+      releaseWaiters();
+      return this.close();
+    },
+  };
+}
+
+/**
+ * Write the duplicated URLs counted while the sitemap was streamed to CSV if any found
+ */
+function writeDuplicatesReport(duplicateCounts, sitemapUrl) {
+  const duplicates = Array.from(duplicateCounts.entries());
   if (duplicates.length === 0) return;
 
   const resultsDir = createResultsDirectory(sitemapUrl);
@@ -330,159 +804,823 @@ function detectAndWriteDuplicates(urls, sitemapUrl) {
   console.log(`Found ${duplicates.length} duplicated URLs. Duplicates saved to ${filename}`);
 }
 
-// Function to process a single sitemap
-async function processSitemap(sitemapUrl) {
+/**
+ * Write the lastmod/changefreq/priority issues of a sitemap to CSV if any found
+ */
+function writeMetadataIssues(issues, sitemapUrl) {
+  if (issues.length === 0) return;
+
+  const resultsDir = createResultsDirectory(sitemapUrl);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const sitemapName = getFormattedSitemapName(sitemapUrl);
+  const filename = path.join(resultsDir, `sitemap_metadata_issues_${sitemapName}_${timestamp}.csv`);
+  const csv = [
+    'URL,Field,Value,Issue',
+    ...issues.map((issue) => `${issue.url},${issue.field},${issue.value},${issue.issue}`),
+  ].join('\n');
+  fs.writeFileSync(filename, csv);
+  console.log(`Found ${issues.length} sitemap metadata issues. Issues saved to ${filename}`);
+}
+
+/**
+ * Validate image, video and news extensions and check the status of their media URLs
+ * @returns {Promise<Object>} - { rows, issueCount, assetCount }
+ */
+async function checkSitemapMedia(entries) {
+  const rows = [];
+  const assets = [];
+  const now = new Date();
+
+  for (const entry of entries) {
+    for (const issue of validateMedia(entry.loc, entry.media, now)) {
+      rows.push({ ...issue, status: '' });
+    }
+    assets.push(...getMediaAssetUrls(entry.loc, entry.media));
+  }
+
+  if (assets.length === 0 && rows.length === 0) {
+    return { rows, issueCount: 0, assetCount: 0 };
+  }
+
+  // Check each distinct media URL once, even if several pages share it
+  const assetUrls = Array.from(new Set(assets.map((asset) => asset.url)));
+  console.log(`Checking ${assetUrls.length} image/video URLs from sitemap extensions`);
+  const tasks = assetUrls.map((url) => () => limitRequest(() => checkUrlStatus(url)));
+  const assetResults = await runWithConcurrency(tasks, CONCURRENCY_LIMIT);
+  const statusByUrl = new Map();
+  assetUrls.forEach((url, i) => statusByUrl.set(url, assetResults[i] || { status: 'Unknown' }));
+
+  for (const asset of assets) {
+    const { status, redirectUrl } = statusByUrl.get(asset.url);
+    let issue = '';
+    if (isRedirectStatus(status) && redirectUrl) {
+      issue = `Media URL redirects to ${redirectUrl}`;
+    } else if (status !== 200) {
+      issue = 'Media URL not OK';
+    }
+    rows.push({
+      pageUrl: asset.pageUrl,
+      extension: asset.extension,
+      field: asset.field,
+      value: asset.url,
+      status,
+      issue,
+    });
+  }
+
+  return {
+    rows,
+    issueCount: rows.filter((row) => row.issue).length,
+    assetCount: assetUrls.length,
+  };
+}
+
+/**
+ * Write the image/video/news extension report next to the results CSV
+ */
+function writeMediaReport(rows, sitemapUrl) {
+  if (rows.length === 0) return;
+
+  const resultsDir = createResultsDirectory(sitemapUrl);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const sitemapName = getFormattedSitemapName(sitemapUrl);
+  const filename = path.join(resultsDir, `sitemap_media_${sitemapName}_${timestamp}.csv`);
+  const csv = [
+    'Page URL,Extension,Field,Value,Status,Issue',
+    ...rows.map(
+      (row) => `${row.pageUrl},${row.extension},${row.field},${row.value},${row.status},${row.issue}`
+    ),
+  ].join('\n');
+  fs.writeFileSync(filename, csv);
+  console.log(`Media extension report saved to ${filename}`);
+}
+
+/**
+ * Check hreflang alternates declared in the sitemap for reciprocity, status and valid codes
+ * @returns {Promise<Array<Object>>} - Findings for the hreflang report
+ */
+async function checkSitemapHreflang(entries, pageResults, sitemapUrls) {
+  const alternateUrls = new Set(
+    entries.flatMap((entry) => entry.alternates.map((alternate) => alternate.href)).filter(Boolean)
+  );
+  if (alternateUrls.size === 0) return [];
+
+  // Reuse the status of URLs already checked, only check the other alternates
+  const statusByUrl = new Map();
+  for (const result of pageResults) {
+    if (result) statusByUrl.set(result.url, result);
+  }
+  const uncheckedUrls = Array.from(alternateUrls).filter((url) => !statusByUrl.has(url));
+  if (uncheckedUrls.length > 0) {
+    console.log(`Checking ${uncheckedUrls.length} hreflang alternates not listed in the sitemap`);
+    const tasks = uncheckedUrls.map((url) => () => limitRequest(() => checkUrlStatus(url)));
+    const alternateResults = await runWithConcurrency(tasks, CONCURRENCY_LIMIT);
+    uncheckedUrls.forEach((url, i) => statusByUrl.set(url, alternateResults[i] || { status: 'Unknown' }));
+  }
+
+  return analyzeHreflang(entries, statusByUrl, new Set(sitemapUrls));
+}
+
+/**
+ * Fetch a page and extract the canonicals declared in its HTML and Link header
+ * @returns {Promise<Array<Object>|null>} - Canonicals as { href, source }, or null if the
+ *   page could not be fetched
+ */
+async function fetchCanonicals(url) {
+  await hostRateLimiter.acquire(url);
+  try {
+    const response = await axios.get(
+      url,
+      requestSettings.applySiteSettings(url, {
+        headers: {
+          'User-Agent': userAgentProfile.userAgent,
+        },
+        maxRedirects: 0,
+        responseType: 'text',
+        validateStatus: () => true,
+        timeout: TIMEOUT,
+      })
+    );
+    hostRateLimiter.recordResponse(url, response.status, response.headers['retry-after']);
+    // Only HTML has a <link rel="canonical">, PDFs and other files rely on the Link header
+    const isHtml = /html/i.test(response.headers['content-type'] || '');
+    return extractCanonicals(isHtml ? response.data : '', response.headers.link, url);
+  } catch (error) {
+    console.error(`Error fetching ${url} for the canonical check: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Check the canonical of every sitemap URL that answered 200
+ * @returns {Promise<Map<string, Object>>} - Canonical analysis returned by analyzeCanonical, by URL
+ */
+async function checkSitemapCanonicals(pageResults, sitemapUrls) {
+  const okUrls = pageResults.filter((result) => result && result.status === 200).map((result) => result.url);
+  const canonicalByUrl = new Map();
+  if (okUrls.length === 0) return canonicalByUrl;
+
+  console.log(`Checking the canonical of ${okUrls.length} URLs`);
+  const tasks = okUrls.map((url) => () => limitRequest(() => fetchCanonicals(url)));
+  const pageCanonicals = await runWithConcurrency(tasks, CONCURRENCY_LIMIT);
+
+  // Reuse the status of URLs already checked, only check the other canonical targets
+  const statusByUrl = new Map();
+  for (const result of pageResults) {
+    if (result) statusByUrl.set(result.url, result);
+  }
+  const uncheckedUrls = Array.from(
+    new Set(pageCanonicals.flatMap((canonicals) => (canonicals || []).map((canonical) => canonical.href)))
+  ).filter((url) => url && !statusByUrl.has(url));
+  if (uncheckedUrls.length > 0) {
+    console.log(`Checking ${uncheckedUrls.length} canonical targets not listed in the sitemap`);
+    const targetTasks = uncheckedUrls.map((url) => () => limitRequest(() => checkUrlStatus(url)));
+    const targetResults = await runWithConcurrency(targetTasks, CONCURRENCY_LIMIT);
+    uncheckedUrls.forEach((url, i) => statusByUrl.set(url, targetResults[i] || { status: 'Unknown' }));
+  }
+
+  okUrls.forEach((url, i) => {
+    canonicalByUrl.set(url, analyzeCanonical(url, pageCanonicals[i], statusByUrl, sitemapUrls));
+  });
+  return canonicalByUrl;
+}
+
+/**
+ * Request a URL as one user-agent profile, without following redirects
+ * @returns {Promise<Object>} - { profile, status, redirectTarget, robots }: robots sums up the
+ *   meta robots and X-Robots-Tag directives served to that profile
+ */
+async function fetchAsProfile(url, profile) {
+  await hostRateLimiter.acquire(url);
+  const requestOptions = requestSettings.applySiteSettings(url, {
+    headers: {},
+    maxRedirects: 0,
+    responseType: 'text',
+    validateStatus: () => true,
+    timeout: TIMEOUT,
+  });
+  // The profile being compared wins over the userAgent configured for the site
+  requestOptions.headers['User-Agent'] = profile.userAgent;
+
+  try {
+    const response = await axios.get(url, requestOptions);
+    hostRateLimiter.recordResponse(url, response.status, response.headers['retry-after']);
+    const location = response.headers.location;
+    let redirectTarget = '';
+    if (isRedirectStatus(response.status) && location) {
+      try {
+        redirectTarget = new URL(location, url).href;
+      } catch (error) {
+        redirectTarget = location;
+      }
+    }
+    // Evaluated for the same crawler whatever the profile, so only what the site serves differs
+    const directives = getRobotsDirectives({
+      html: /html/i.test(response.headers['content-type'] || '') ? response.data : '',
+      xRobotsTag: response.headers['x-robots-tag'],
+      crawler: ROBOTS_USER_AGENT,
+    });
+    return {
+      profile,
+      status: response.status,
+      redirectTarget,
+      robots: `${directives.noIndex ? 'noindex' : 'index'} ${directives.noFollow ? 'nofollow' : 'follow'}`,
+    };
+  } catch (error) {
+    const { category, code } = classifyNetworkError(error);
+    return { profile, status: `${category} (${code})`, redirectTarget: '', robots: '' };
+  }
+}
+
+/**
+ * Request every sitemap URL as each compared user-agent profile
+ * @returns {Promise<Array<Object>>} - URLs served differently, as { url, responses, differences }
+ */
+async function checkUserAgentDifferences(urls, profiles) {
+  console.log(
+    `Comparing ${urls.length} URLs across user-agent profiles: ${profiles.map((profile) => profile.name).join(', ')}`
+  );
+  const tasks = urls.map((url) => () =>
+    limitRequest(async () => {
+      const responses = [];
+      for (const profile of profiles) {
+        responses.push(await fetchAsProfile(url, profile));
+      }
+      return { url, responses, differences: compareProfileResponses(responses) };
+    })
+  );
+  const comparisons = await runWithConcurrency(tasks, CONCURRENCY_LIMIT);
+  return comparisons.filter((comparison) => comparison && comparison.differences.length > 0);
+}
+
+/**
+ * Write the user-agent comparison report for a sitemap: one row per profile of each URL
+ * served differently
+ */
+function writeUserAgentReport(findings, sitemapUrl) {
+  const resultsDir = createResultsDirectory(sitemapUrl);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const sitemapName = getFormattedSitemapName(sitemapUrl);
+  const filename = path.join(resultsDir, `sitemap_user_agents_${sitemapName}_${timestamp}.csv`);
+  const csv = [
+    'URL,Profile,Status,Redirect Target,Robots Directives,Differences',
+    ...findings.flatMap((finding) =>
+      finding.responses.map(
+        (response) =>
+          `${finding.url},${response.profile.label},${response.status},${response.redirectTarget},${response.robots},${finding.differences.join('|')}`
+      )
+    ),
+  ].join('\n');
+  fs.writeFileSync(filename, csv);
+  console.log(`Found ${findings.length} URLs served differently. User-agent report saved to ${filename}`);
+}
+
+/**
+ * Write the hreflang report for a sitemap
+ */
+function writeHreflangReport(findings, sitemapUrl) {
+  const resultsDir = createResultsDirectory(sitemapUrl);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const sitemapName = getFormattedSitemapName(sitemapUrl);
+  const filename = path.join(resultsDir, `sitemap_hreflang_${sitemapName}_${timestamp}.csv`);
+  const csv = [
+    'URL,Hreflang,Alternate URL,Alternate Status,Issue',
+    ...findings.map(
+      (finding) =>
+        `${finding.url},${finding.hreflang},${finding.alternateUrl},${finding.alternateStatus},${finding.issue}`
+    ),
+  ].join('\n');
+  fs.writeFileSync(filename, csv);
+  console.log(`Found ${findings.length} hreflang issues. Hreflang report saved to ${filename}`);
+}
+
+/**
+ * Write the protocol, host and trailing-slash consistency findings of a sitemap to CSV if any found
+ */
+function writeUrlConsistencyReport(findings, sitemapUrl) {
+  if (findings.length === 0) return;
+
+  const resultsDir = createResultsDirectory(sitemapUrl);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const sitemapName = getFormattedSitemapName(sitemapUrl);
+  const filename = path.join(resultsDir, `sitemap_url_consistency_${sitemapName}_${timestamp}.csv`);
+  const csv = [
+    'URL,Issues,Conforming URL,Status,Redirects to Conforming URL,Other Variants in Sitemap',
+    ...findings.map(
+      (finding) =>
+        `${finding.url},${finding.issues.join('|')},${finding.conformingUrl},${finding.status},${finding.redirectsToConforming},${finding.otherVariants.join('|')}`
+    ),
+  ].join('\n');
+  fs.writeFileSync(filename, csv);
+  console.log(`Found ${findings.length} inconsistent URLs. URL consistency report saved to ${filename}`);
+}
+
+/**
+ * Write the URL hygiene findings of a sitemap to CSV if any found, one rule per row
+ */
+function writeUrlHygieneReport(findings, sitemapUrl) {
+  if (findings.length === 0) return;
+
+  const resultsDir = createResultsDirectory(sitemapUrl);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const sitemapName = getFormattedSitemapName(sitemapUrl);
+  const filename = path.join(resultsDir, `sitemap_url_hygiene_${sitemapName}_${timestamp}.csv`);
+  const csv = [
+    'URL,Rule,Severity,Details',
+    ...findings.map((finding) => `${finding.url},${finding.rule},${finding.severity},${finding.details}`),
+  ].join('\n');
+  fs.writeFileSync(filename, csv);
+  console.log(`Found ${findings.length} URL hygiene issues. URL hygiene report saved to ${filename}`);
+}
+
+/**
+ * Write the sitemap protocol violations of a sitemap to CSV if any found
+ */
+function writeProtocolViolations(violations, sitemapUrl) {
+  if (violations.length === 0) return;
+
+  const resultsDir = createResultsDirectory(sitemapUrl);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const sitemapName = getFormattedSitemapName(sitemapUrl);
+  const filename = path.join(resultsDir, `sitemap_protocol_violations_${sitemapName}_${timestamp}.csv`);
+  const csv = [
+    'Sitemap,URL,Rule,Severity,Details',
+    ...violations.map(
+      (violation) =>
+        `${violation.sitemapUrl},${violation.url},${violation.rule},${violation.severity},${violation.details}`
+    ),
+  ].join('\n');
+  fs.writeFileSync(filename, csv);
+  console.log(`Found ${violations.length} sitemap protocol violations. Violations saved to ${filename}`);
+}
+
+// Result of a URL whose check threw instead of returning a status: an error of this script,
+// counted as a checker error and kept out of the network error categories
+const FAILED_CHECK_RESULT = {
+  status: 'Check Failed',
+  redirectUrl: '',
+  finalUrl: '',
+  finalStatus: '',
+  redirectChain: [],
+  chainIssues: [],
+  errorCategory: '',
+  errorCode: '',
+  attempts: 0,
+  retryOutcome: '',
+  proxy: '',
+  timing: { ttfb: '', totalTime: '', size: '' },
+  robots: { blocked: false, rule: '' },
+};
+
+/**
+ * Print the summary of a sitemap index, listing the children that could not be processed,
+ * its own and those of the indexes nested in it (unreachable, invalid, cycles, depth limit)
+ */
+function logIndexSummary(sitemapUrl, childCount, childFailures, nestedFailures) {
+  console.log(`\n========== Summary for sitemap index: ${sitemapUrl} ==========`);
+  console.log(`Child Sitemaps: ${childCount}`);
+  console.log(`Failed or Skipped Child Sitemaps: ${childFailures.length}`);
+  for (const failure of childFailures) {
+    console.log(`  ➤ ${failure.sitemapUrl}: ${failure.reason}`);
+  }
+  if (nestedFailures.length > 0) {
+    console.log(`Failed or Skipped Sitemaps in Nested Indexes: ${nestedFailures.length}`);
+    for (const failure of nestedFailures) {
+      console.log(`  ➤ ${failure.sitemapUrl}: ${failure.reason}`);
+    }
+  }
+  console.log();
+}
+
+/**
+ * Process a single sitemap
+ * @param {string} sitemapUrl - URL of the sitemap or sitemap index
+ * @param {Object} options - Index traversal state
+ * @param {string|null} options.parentIndexUrl - URL of the index listing this sitemap
+ * @param {number} options.depth - Nesting depth (0 for sitemaps from the config)
+ * @param {Array<string>} options.ancestors - Indexes leading to this sitemap, for cycle detection
+ * @param {Set<string>} options.visited - Sitemaps already processed during this run
+ * @param {Array<Object>} options.failures - Receives { sitemapUrl, reason } if the sitemap can't be processed
+ * @param {string|null} options.stagingOrigin - Origin the <loc> URLs are rewritten to before being checked
+ * @returns {Promise<Object|null>} - Totals for the sitemap, or null if it could not be processed
+ */
+async function processSitemap(
+  sitemapUrl,
+  {
+    parentIndexUrl = null,
+    depth = 0,
+    ancestors = [],
+    visited = new Set(),
+    failures = [],
+    stagingOrigin = null,
+  } = {}
+) {
   console.log(`\n========== Processing sitemap: ${sitemapUrl} ==========\n`);
 
   const startTime = Date.now();
+  visited.add(sitemapUrl);
 
-  const sitemapXml = await fetchXml(sitemapUrl);
-  if (!sitemapXml) {
+  const sitemapBody = await fetchXml(sitemapUrl);
+  if (!sitemapBody.content) {
     console.error(`Failed to fetch sitemap content from ${sitemapUrl}`);
+    failures.push({ sitemapUrl, reason: `Unreachable: ${sitemapBody.error}` });
     return null;
   }
 
+  // URLs are checked while the sitemap is still being parsed
+  let lastPercent = 0;
+  const queue = createConcurrencyQueue(CONCURRENCY_LIMIT, (done, total, allQueued) => {
+    if (!allQueued) {
+      console.log(`Progress: ${done}/${total} URLs checked (sitemap still loading)`);
+      return;
+    }
+    const percent = Math.floor((done / total) * 100);
+    if (percent !== lastPercent && percent % 5 === 0) {
+      console.log(`Progress: ${done}/${total} URLs checked (${percent}%)`);
+      lastPercent = percent;
+    }
+  });
+  // The URLs queued are the only list kept per sitemap: duplicates and hygiene findings are
+  // counted as the entries are parsed
+  const queuedUrls = new Set();
+  const duplicateCounts = new Map();
+  const urlHygieneFindings = [];
+
   let sitemapData;
   try {
-    sitemapData = await getSitemapsOrUrls(sitemapXml);
+    sitemapData = await getSitemapsOrUrls(sitemapBody.content, (url, entry, loc) => {
+      if (queuedUrls.has(url)) {
+        duplicateCounts.set(url, (duplicateCounts.get(url) || 1) + 1);
+        return null;
+      }
+      queuedUrls.add(url);
+      // Flag tracking and session parameters, fragments and badly escaped <loc> values as written
+      urlHygieneFindings.push(...checkUrlHygiene(loc, { caseInsensitiveHosts }));
+      const { lastmod, changefreq, priority } = entry;
+      // Resolves when the queue has room again, pausing the sitemap stream until then
+      return queue.push(async () => {
+        // A sitemap URL that robots.txt disallows sends crawlers mixed signals. The robots.txt
+        // of each host is fetched once, while the first of its URLs is checked
+        const [result, robots] = await Promise.all([
+          limitRequest(() => checkUrlStatus(url)),
+          robotsChecker.check(url),
+        ]);
+        return { url, lastmod, changefreq, priority, robots, ...result };
+      });
+    }, { sitemapUrl, stagingOrigin });
   } catch (error) {
+    await queue.cancel();
     console.error(`Error processing sitemap ${sitemapUrl}: ${error.message}`);
+    failures.push({ sitemapUrl, reason: `Invalid: ${error.message}` });
     return null;
   }
 
+  // Check the sitemap against the limits and structural rules of the protocol
+  const sitemapFields = {
+    type: sitemapData.type,
+    format: sitemapData.format,
+    namespace: sitemapData.namespace,
+    uncompressedSize: sitemapBody.uncompressedSize,
+    parentIndexUrl,
+    entityErrors: sitemapData.entityErrors,
+  };
+  // The <loc> values of a urlset were checked while it was streamed
+  const protocolViolations =
+    sitemapData.type === 'index'
+      ? validateSitemapProtocol({ sitemapUrl, urls: sitemapData.declaredUrls, ...sitemapFields })
+      : sitemapData.protocolValidator.finish(sitemapFields);
+  writeProtocolViolations(protocolViolations, sitemapUrl);
+
   // If it's a sitemap index, process each child sitemap
   if (sitemapData.type === 'index') {
+    await queue.close();
     let totalResults = {
       totalUrls: 0,
       successCount: 0,
       redirectCount: 0,
       errorCount: 0,
       redundantCount: 0,
+      redirectChainIssueCount: 0,
+      intermittentErrorCount: 0,
+      persistentErrorCount: 0,
+      checkerErrorCount: 0,
+      networkErrorCounts: {},
+      robotsBlockedCount: 0,
+      canonicalIssueCount: 0,
+      userAgentDifferenceCount: 0,
+      urlConsistencyIssueCount: 0,
+      urlHygieneIssueCount: 0,
+      ttfbValues: [],
+      totalTimeValues: [],
+      slowUrlCount: 0,
       elapsedSeconds: 0,
+      compressedSize: sitemapBody.compressedSize,
+      uncompressedSize: sitemapBody.uncompressedSize,
+      protocolViolationCount: protocolViolations.length,
     };
+    const childFailures = [];
+    const childTasks = [];
     for (const childSitemapUrl of sitemapData.urls) {
-      const result = await processSitemap(childSitemapUrl);
+      if (childSitemapUrl === sitemapUrl || ancestors.includes(childSitemapUrl)) {
+        const cycle = [...ancestors, sitemapUrl, childSitemapUrl].join(' -> ');
+        childFailures.push({ sitemapUrl: childSitemapUrl, reason: `Cycle detected: ${cycle}` });
+        continue;
+      }
+      if (visited.has(childSitemapUrl)) {
+        childFailures.push({ sitemapUrl: childSitemapUrl, reason: 'Skipped: already processed in this run' });
+        continue;
+      }
+      if (depth + 1 > MAX_SITEMAP_DEPTH) {
+        childFailures.push({
+          sitemapUrl: childSitemapUrl,
+          reason: `Skipped: maximum sitemap index depth (${MAX_SITEMAP_DEPTH}) exceeded`,
+        });
+        continue;
+      }
+      visited.add(childSitemapUrl);
+      childTasks.push(() =>
+        processSitemap(childSitemapUrl, {
+          parentIndexUrl: sitemapUrl,
+          depth: depth + 1,
+          ancestors: [...ancestors, sitemapUrl],
+          visited,
+          failures: childFailures,
+          stagingOrigin,
+        })
+      );
+    }
+
+    // Child sitemaps run in parallel, URL checks still share the overall concurrency cap
+    const childResults = await runWithConcurrency(childTasks, SITEMAP_CONCURRENCY);
+    const nestedFailures = [];
+    for (const result of childResults) {
       if (result) {
+        nestedFailures.push(...(result.failedSitemaps || []));
+        totalResults.protocolViolationCount += result.protocolViolationCount || 0;
+        totalResults.compressedSize += result.compressedSize || 0;
+        totalResults.uncompressedSize += result.uncompressedSize || 0;
         totalResults.totalUrls += result.totalUrls;
         totalResults.successCount += result.successCount;
         totalResults.redirectCount += result.redirectCount;
         totalResults.errorCount += result.errorCount;
         totalResults.redundantCount += result.redundantCount || 0;
-        totalResults.elapsedSeconds += result.elapsedSeconds || 0;
+        totalResults.redirectChainIssueCount += result.redirectChainIssueCount || 0;
+        totalResults.intermittentErrorCount += result.intermittentErrorCount || 0;
+        totalResults.persistentErrorCount += result.persistentErrorCount || 0;
+        totalResults.checkerErrorCount += result.checkerErrorCount || 0;
+        addNetworkErrorCounts(totalResults.networkErrorCounts, result.networkErrorCounts);
+        totalResults.robotsBlockedCount += result.robotsBlockedCount || 0;
+        totalResults.canonicalIssueCount += result.canonicalIssueCount || 0;
+        totalResults.userAgentDifferenceCount += result.userAgentDifferenceCount || 0;
+        totalResults.urlConsistencyIssueCount += result.urlConsistencyIssueCount || 0;
+        totalResults.urlHygieneIssueCount += result.urlHygieneIssueCount || 0;
+        totalResults.ttfbValues = totalResults.ttfbValues.concat(result.ttfbValues || []);
+        totalResults.totalTimeValues = totalResults.totalTimeValues.concat(result.totalTimeValues || []);
+        totalResults.slowUrlCount += result.slowUrlCount || 0;
       }
     }
+    totalResults.elapsedSeconds = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
+    totalResults.failedSitemaps = [...childFailures, ...nestedFailures];
+
+    logIndexSummary(sitemapUrl, sitemapData.urls.length, childFailures, nestedFailures);
     return totalResults;
   }
 
-  const urls = Array.from(new Set(sitemapData.urls));
-  // Detect and write duplicates (using original list, not deduped)
-  detectAndWriteDuplicates(sitemapData.urls, sitemapUrl);
+  writeDuplicatesReport(duplicateCounts, sitemapUrl);
+  writeUrlHygieneReport(urlHygieneFindings, sitemapUrl);
 
-  console.log(`Total URLs to check: ${urls.length}`);
+  console.log(`Total URLs to check: ${queuedUrls.size}`);
+
+  // lastmod, changefreq and priority of every entry, validated while the sitemap was streamed
+  const { metadata } = sitemapData;
+  for (const issue of metadata.sitemapIssues) {
+    console.log(`Sitemap metadata issue: ${issue.issue} (${issue.value})`);
+  }
+  writeMetadataIssues(metadata.allIssues, sitemapUrl);
 
-  const results = [];
   let successCount = 0;
   let redirectCount = 0;
+  let permanentRedirectCount = 0;
+  let temporaryRedirectCount = 0;
   let errorCount = 0;
   let redundantCount = 0;
-  const validUrls = [];
+  let redirectChainIssueCount = 0;
+  let intermittentErrorCount = 0;
+  let persistentErrorCount = 0;
+  let checkerErrorCount = 0;
+  let robotsBlockedCount = 0;
+  let canonicalIssueCount = 0;
+  const timings = [];
   const normalizedUrlMap = new Map();
-  urls.forEach((url) => {
+  queuedUrls.forEach((url) => {
     normalizedUrlMap.set(normalizeUrl(url, sitemapUrl), url);
   });
 
-  // Prepare all check tasks
-  const tasks = urls.map((url) => async () => {
-    const result = await checkUrlStatus(url);
-    return { url, ...result };
-  });
+  // Wait for the checks queued while the sitemap was streamed
+  const allResults = await queue.close();
+  // URLs answering 200, to suggest a replacement for the 404s and broken redirect chains
+  const validUrls = allResults.filter((result) => result && result.status === 200).map((result) => result.url);
+  const networkErrorCounts = countNetworkErrors(allResults.filter(Boolean));
 
-  // Run with concurrency and progress
-  let lastPercent = 0;
-  const allResults = await runWithConcurrency(tasks, CONCURRENCY_LIMIT, (done, total) => {
-    const percent = Math.floor((done / total) * 100);
-    if (percent !== lastPercent && percent % 5 === 0) {
-      console.log(`Progress: ${done}/${total} URLs checked (${percent}%)`);
-      lastPercent = percent;
-    }
-  });
+  // Compare every 200 URL with its canonical
+  const canonicalByUrl = CHECK_CANONICALS
+    ? await checkSitemapCanonicals(allResults, queuedUrls)
+    : new Map();
 
-  // Process results
-  for (let i = 0; i < allResults.length; i++) {
-    const { url, status, redirectUrl } = allResults[i];
+  // Rows are written as they are built, in the order the URLs were queued
+  const filename = generateFilename(sitemapUrl);
+  const csvFile = fs.openSync(filename, 'w');
+  fs.writeSync(
+    csvFile,
+    'URL,Status,Redirect URL,URL Suggested,Redirect in Sitemap(redundant),Lastmod,Changefreq,Priority,Metadata Issues,Final URL,Final Status,Redirect Hops,Redirect Chain,Redirect Chain Issues,Redirect Type,Attempts,Retry Outcome,Error Category,Error Code,Blocked by robots.txt,Robots.txt Rule,Canonical URL,Canonical Source,Canonical Issues,Canonical in Sitemap(redundant),Proxy,TTFB (ms),Total Time (ms),Response Size (bytes)'
+  );
+  let resultIndex = 0;
+  for (const queuedUrl of queuedUrls) {
+    const checkResult = allResults[resultIndex++];
+    // A check that threw has no result: report the URL as failed rather than dropping it
+    if (!checkResult) {
+      console.error(`Check of ${queuedUrl} failed without a result`);
+      checkerErrorCount++;
+    }
+    const {
+      url,
+      status,
+      redirectUrl,
+      finalUrl,
+      finalStatus,
+      redirectChain,
+      chainIssues,
+      errorCategory,
+      errorCode,
+      attempts,
+      retryOutcome,
+      proxy: proxyUsed,
+      timing,
+      lastmod,
+      changefreq,
+      priority,
+      robots,
+    } = checkResult || { ...FAILED_CHECK_RESULT, url: queuedUrl };
     let redirectInSitemapRedundant = 'No';
+    if (robots.blocked) {
+      robotsBlockedCount++;
+      console.log(`Blocked by robots.txt (${robots.rule}): ${url}`);
+    }
+    if (retryOutcome === 'Intermittent') {
+      intermittentErrorCount++;
+    } else if (retryOutcome === 'Persistent') {
+      persistentErrorCount++;
+    }
     let targetUrl = '';
     let urlSuggested = '';
+    let canonicalInSitemapRedundant = 'No';
+    const canonical = canonicalByUrl.get(url);
+    if (canonical && canonical.issues.length > 0) {
+      canonicalIssueCount++;
+    }
     if (status === 200) {
-      validUrls.push(url);
       successCount++;
-    } else if ((status === 301 || status === 302) && redirectUrl) {
+      // A page canonicalized to another sitemap URL is redundant, like a redirect to one
+      if (canonical && canonical.redundant) {
+        canonicalInSitemapRedundant = 'Yes';
+        targetUrl = canonical.canonicalUrl;
+        redundantCount++;
+      }
+      if (canonical && canonical.targetStatus === 200) {
+        urlSuggested = canonical.canonicalUrl;
+      }
+    } else if (isRedirectStatus(status) && redirectUrl) {
       redirectCount++;
-      urlSuggested = redirectUrl;
-      const normalizedRedirectUrl = normalizeUrl(redirectUrl, url);
-      for (const [normalizedUrl, originalUrl] of normalizedUrlMap.entries()) {
-        if (normalizedUrl === normalizedRedirectUrl) {
+      if (getRedirectType(status) === REDIRECT_TYPE.PERMANENT) {
+        permanentRedirectCount++;
+      } else {
+        temporaryRedirectCount++;
+      }
+      if (chainIssues.length > 0) {
+        redirectChainIssueCount++;
+      }
+      // Suggest and compare against the end of the chain, not the first hop: a redirect is
+      // only redundant when it ends on a working URL of the sitemap
+      if (finalStatus === 200) {
+        urlSuggested = finalUrl;
+        const sitemapTargetUrl = normalizedUrlMap.get(normalizeUrl(finalUrl, url));
+        if (sitemapTargetUrl) {
           redirectInSitemapRedundant = 'Yes';
-          targetUrl = originalUrl;
+          targetUrl = sitemapTargetUrl;
           redundantCount++;
-          break;
         }
       }
-    } else if (status === 404) {
-      errorCount++;
-      if (validUrls.length > 0) {
-        urlSuggested = findSimilarUrl(url, validUrls);
-      }
     } else {
       errorCount++;
     }
-    results.push({
+    // Suggest a similar working URL for 404s and redirect chains that end in an error
+    const isBrokenRedirect = redirectChain.length > 1 && finalStatus !== 200;
+    if ((status === 404 || isBrokenRedirect) && !urlSuggested && validUrls.length > 0) {
+      urlSuggested = findSimilarUrl(url, validUrls);
+    }
+    timings.push({ url, ttfb: timing.ttfb, totalTime: timing.totalTime });
+    const metadataIssues = (metadata.issuesByUrl.get(url) || [])
+      .map((issue) => `${issue.field}: ${issue.issue}`)
+      .join('|');
+    const row = [
       url,
       status,
-      redirectUrl: redirectUrl || '',
+      redirectUrl || '',
       urlSuggested,
       redirectInSitemapRedundant,
-      targetUrl,
-    });
+      lastmod || '',
+      changefreq || '',
+      priority || '',
+      metadataIssues,
+      redirectChain.length > 1 ? finalUrl : '',
+      redirectChain.length > 1 ? finalStatus : '',
+      Math.max(redirectChain.length - 1, 0),
+      redirectChain.length > 1
+        ? redirectChain.map((hop) => `${hop.status || hop.errorCode} ${hop.url}`).join(' > ')
+        : '',
+      chainIssues.join('|'),
+      getRedirectType(status),
+      attempts,
+      retryOutcome,
+      errorCategory,
+      errorCode,
+      robots.blocked ? 'Yes' : 'No',
+      robots.rule,
+      canonical ? canonical.canonicalUrl : '',
+      canonical ? canonical.source : '',
+      canonical ? canonical.issues.join('|') : '',
+      canonicalInSitemapRedundant,
+      proxyUsed,
+      timing.ttfb,
+      timing.totalTime,
+      timing.size,
+    ];
+    fs.writeSync(csvFile, `\n${row.join(',')}`);
   }
 
-  // Second pass for 404s without suggestions
-  for (let i = 0; i < results.length; i++) {
-    const result = results[i];
-    if (result.status === 404 && !result.urlSuggested && validUrls.length > 0) {
-      result.urlSuggested = findSimilarUrl(result.url, validUrls);
-    }
+  // Validate image, video and news extensions
+  const media = await checkSitemapMedia(sitemapData.mediaEntries);
+  writeMediaReport(media.rows, sitemapUrl);
+
+  // Check hreflang clusters declared with xhtml:link
+  const hasHreflang = sitemapData.alternateEntries.length > 0;
+  const hreflangFindings = await checkSitemapHreflang(sitemapData.alternateEntries, allResults, queuedUrls);
+  if (hasHreflang) {
+    writeHreflangReport(hreflangFindings, sitemapUrl);
   }
 
-  // Prepare CSV rows
-  const csvContent = results
-    .map(
-      (result) =>
-        `${result.url},${result.status},${result.redirectUrl},${result.urlSuggested},${result.redirectInSitemapRedundant}`
-    )
-    .join('\n');
+  // Check that every URL follows the dominant protocol, host and trailing-slash convention
+  const statusByUrl = new Map();
+  for (const result of allResults) {
+    if (result) statusByUrl.set(result.url, result);
+  }
+  const urlConsistency = analyzeUrlConsistency(queuedUrls, statusByUrl);
+  writeUrlConsistencyReport(urlConsistency.findings, sitemapUrl);
+
+  // Compare the responses served to each user-agent profile (--compare-user-agents)
+  const userAgentFindings =
+    compareProfiles.length > 0 ? await checkUserAgentDifferences(Array.from(queuedUrls), compareProfiles) : [];
+  if (compareProfiles.length > 0) {
+    writeUserAgentReport(userAgentFindings, sitemapUrl);
+  }
 
-  const totalUrls = results.length;
+  const totalUrls = queuedUrls.size;
   const percentOk = ((successCount / totalUrls) * 100).toFixed(2);
   const percentNotOk = (((redirectCount + errorCount) / totalUrls) * 100).toFixed(2);
   const percentRedundant = ((redundantCount / totalUrls) * 100).toFixed(2);
+  const { ttfbValues, totalTimeValues, slowUrls } = getResponseTimeStats(timings, SLOW_URL_THRESHOLD);
   const elapsedSeconds = ((Date.now() - startTime) / 1000).toFixed(2);
 
   const summary = [
     `Total URLs Checked:,${totalUrls}`,
     `Successful (200):,${successCount} (${percentOk}%)`,
     `Redirects:,${redirectCount}`,
+    `Permanent Redirects (301/308):,${permanentRedirectCount}`,
+    `Temporary Redirects (302/303/307):,${temporaryRedirectCount}`,
+    `Redirect Chain Issues:,${redirectChainIssueCount}`,
     `Errors:,${errorCount}`,
+    `Intermittent Errors:,${intermittentErrorCount}`,
+    `Persistent Errors:,${persistentErrorCount}`,
+    `Checker Errors:,${checkerErrorCount}`,
+    ...Object.entries(networkErrorCounts).map(([category, count]) => `Network Errors: ${category},${count}`),
     `Redundant URLs:,${redundantCount} (${percentRedundant}%)`,
+    `Blocked by robots.txt:,${robotsBlockedCount}`,
+    `Canonical Issues:,${canonicalIssueCount}`,
+    `URL Consistency Issues:,${urlConsistency.findings.length}`,
+    `URL Hygiene Issues:,${urlHygieneFindings.length}`,
+    `Protocol Violations:,${protocolViolations.length}`,
     `Not OK Percentage:,${percentNotOk}%`,
+    `Response Time TTFB p50 / p90 / p99 (ms):,${formatPercentiles(ttfbValues)}`,
+    `Response Time Total p50 / p90 / p99 (ms):,${formatPercentiles(totalTimeValues)}`,
+    `Slow URLs (over ${SLOW_URL_THRESHOLD} ms):,${slowUrls.length}`,
+    `Sitemap Format:,${sitemapData.formatLabel}`,
+    `Sitemap Size (compressed):,${formatBytes(sitemapBody.compressedSize)}`,
+    `Sitemap Size (uncompressed):,${formatBytes(sitemapBody.uncompressedSize)}`,
     `Elapsed Time (seconds):,${elapsedSeconds}`,
   ].join('\n');
 
-  const filename = generateFilename(sitemapUrl);
-  fs.writeFileSync(
-    filename,
-    `URL,Status,Redirect URL,URL Suggested,Redirect in Sitemap(redundant)\n${csvContent}\n${summary}`
-  );
+  fs.writeSync(csvFile, `\n${summary}`);
+  fs.closeSync(csvFile);
   console.log(`Results saved to ${filename}`);
 
   // Display summary
@@ -490,9 +1628,48 @@ async function processSitemap(sitemapUrl) {
   console.log(`Total URLs Checked: ${totalUrls}`);
   console.log(`Successful (200): ${successCount} (${percentOk}%)`);
   console.log(`Redirects: ${redirectCount}`);
+  console.log(`  ➤ Permanent (301/308): ${permanentRedirectCount}`);
+  console.log(`  ➤ Temporary (302/303/307): ${temporaryRedirectCount}`);
+  console.log(`Redirect Chain Issues: ${redirectChainIssueCount}`);
   console.log(`Errors: ${errorCount}`);
+  console.log(`  ➤ Intermittent (recovered after retry): ${intermittentErrorCount}`);
+  console.log(`  ➤ Persistent (failed every attempt): ${persistentErrorCount}`);
+  console.log(`  ➤ Checker errors (check failed without a result): ${checkerErrorCount}`);
+  for (const [category, count] of Object.entries(networkErrorCounts)) {
+    console.log(`  ➤ ${category}: ${count}`);
+  }
   console.log(`Redundant URLs: ${redundantCount} (${percentRedundant}%)`);
+  console.log(`Blocked by robots.txt (${ROBOTS_USER_AGENT}): ${robotsBlockedCount}`);
+  console.log(`Canonical Issues: ${canonicalIssueCount}`);
+  console.log(`URL Consistency Issues: ${urlConsistency.findings.length}`);
+  const { protocol, hosts, slash } = urlConsistency.conventions;
+  console.log(
+    `  ➤ Conventions: ${[protocol, ...new Set(hosts.values()), slash].filter(Boolean).join(', ')}`
+  );
+  console.log(`URL Hygiene Issues: ${urlHygieneFindings.length}`);
+  for (const [rule, count] of Object.entries(countUrlHygieneRules(urlHygieneFindings))) {
+    console.log(`  ➤ ${rule} (${URL_HYGIENE_RULES[rule]}): ${count}`);
+  }
+  console.log(`Protocol Violations: ${protocolViolations.length}`);
   console.log(`Not OK Percentage: ${percentNotOk}%`);
+  console.log(`TTFB p50 / p90 / p99 (ms): ${formatPercentiles(ttfbValues)}`);
+  console.log(`Total Time p50 / p90 / p99 (ms): ${formatPercentiles(totalTimeValues)}`);
+  console.log(`Slow URLs (over ${SLOW_URL_THRESHOLD} ms): ${slowUrls.length}`);
+  for (const result of slowUrls) {
+    console.log(`  ➤ ${result.url}: ${result.totalTime} ms (TTFB ${result.ttfb} ms)`);
+  }
+  console.log(`Sitemap Metadata Issues: ${metadata.allIssues.length}`);
+  console.log(`Media URLs Checked: ${media.assetCount}`);
+  console.log(`Media Extension Issues: ${media.issueCount}`);
+  if (hasHreflang) {
+    console.log(`Hreflang Issues: ${hreflangFindings.length}`);
+  }
+  if (compareProfiles.length > 0) {
+    console.log(`User-Agent Differences: ${userAgentFindings.length}`);
+  }
+  console.log(`Sitemap Format: ${sitemapData.formatLabel}`);
+  console.log(`Sitemap Size (compressed): ${formatBytes(sitemapBody.compressedSize)}`);
+  console.log(`Sitemap Size (uncompressed): ${formatBytes(sitemapBody.uncompressedSize)}`);
   console.log(`Elapsed Time (seconds): ${elapsedSeconds}`);
   console.log();
 
@@ -502,15 +1679,55 @@ async function processSitemap(sitemapUrl) {
     redirectCount,
     errorCount,
     redundantCount,
+    redirectChainIssueCount,
+    intermittentErrorCount,
+    persistentErrorCount,
+    checkerErrorCount,
+    networkErrorCounts,
+    robotsBlockedCount,
+    canonicalIssueCount,
+    userAgentDifferenceCount: userAgentFindings.length,
+    urlConsistencyIssueCount: urlConsistency.findings.length,
+    urlHygieneIssueCount: urlHygieneFindings.length,
+    ttfbValues,
+    totalTimeValues,
+    slowUrlCount: slowUrls.length,
     elapsedSeconds: parseFloat(elapsedSeconds),
+    compressedSize: sitemapBody.compressedSize,
+    uncompressedSize: sitemapBody.uncompressedSize,
+    protocolViolationCount: protocolViolations.length,
   };
 }
 
+/**
+ * Discover the sitemaps of a config entry that only declares an origin, from its robots.txt
+ * @param {string} origin - Origin of the config entry
+ * @returns {Promise<Array<Object>>} - Discovered sitemaps as { url, source }
+ */
+function discoverSiteSitemaps(origin) {
+  return discoverSitemaps(
+    origin,
+    requestSettings.applySiteSettings(origin, {
+      headers: {
+        'User-Agent': userAgentProfile.userAgent,
+      },
+      timeout: TIMEOUT,
+    }),
+    hostRateLimiter
+  );
+}
+
 // Main function
 async function main() {
   const startTime = new Date();
   console.log(`Starting Sitemap URL Verification at ${startTime.toISOString()}...`);
-  console.log(`Checking ${sitemapUrls.length} sitemaps`);
+
+  const sitemapsToCheck = await resolveSitemapsToCheck(
+    sitemaps,
+    process.argv.slice(2),
+    discoverSiteSitemaps
+  );
+  console.log(`Checking ${sitemapsToCheck.length} sitemaps as ${userAgentProfile.label}`);
 
   const overallStart = Date.now();
 
@@ -519,16 +1736,62 @@ async function main() {
   let totalRedirectCount = 0;
   let totalErrorCount = 0;
   let totalRedundantCount = 0;
+  let totalRedirectChainIssueCount = 0;
+  let totalIntermittentErrorCount = 0;
+  let totalPersistentErrorCount = 0;
+  let totalCheckerErrorCount = 0;
+  const totalNetworkErrorCounts = {};
+  let totalRobotsBlockedCount = 0;
+  let totalCanonicalIssueCount = 0;
+  let totalUserAgentDifferenceCount = 0;
+  let totalUrlConsistencyIssueCount = 0;
+  let totalUrlHygieneIssueCount = 0;
+  let totalTtfbValues = [];
+  let totalResponseTimeValues = [];
+  let totalSlowUrlCount = 0;
   let totalElapsedSeconds = 0;
-
-  for (const sitemapUrl of sitemapUrls) {
-    const result = await processSitemap(sitemapUrl);
+  let totalCompressedSize = 0;
+  let totalUncompressedSize = 0;
+  let totalProtocolViolationCount = 0;
+  const visited = new Set();
+  const failedSitemaps = [];
+
+  for (const { url: sitemapUrl, stagingOrigin } of sitemapsToCheck) {
+    if (visited.has(sitemapUrl)) {
+      console.log(`Skipping ${sitemapUrl}: already processed as part of a sitemap index`);
+      continue;
+    }
+    if (stagingOrigin) {
+      console.log(`Checking the URLs of ${sitemapUrl} against staging origin ${stagingOrigin}`);
+    }
+    const result = await processSitemap(sitemapUrl, {
+      visited,
+      failures: failedSitemaps,
+      stagingOrigin,
+    });
     if (result) {
+      failedSitemaps.push(...(result.failedSitemaps || []));
+      totalProtocolViolationCount += result.protocolViolationCount || 0;
+      totalCompressedSize += result.compressedSize || 0;
+      totalUncompressedSize += result.uncompressedSize || 0;
       totalUrls += result.totalUrls;
       totalSuccessCount += result.successCount;
       totalRedirectCount += result.redirectCount;
       totalErrorCount += result.errorCount;
       totalRedundantCount += result.redundantCount || 0;
+      totalRedirectChainIssueCount += result.redirectChainIssueCount || 0;
+      totalIntermittentErrorCount += result.intermittentErrorCount || 0;
+      totalPersistentErrorCount += result.persistentErrorCount || 0;
+      totalCheckerErrorCount += result.checkerErrorCount || 0;
+      addNetworkErrorCounts(totalNetworkErrorCounts, result.networkErrorCounts);
+      totalRobotsBlockedCount += result.robotsBlockedCount || 0;
+      totalCanonicalIssueCount += result.canonicalIssueCount || 0;
+      totalUserAgentDifferenceCount += result.userAgentDifferenceCount || 0;
+      totalUrlConsistencyIssueCount += result.urlConsistencyIssueCount || 0;
+      totalUrlHygieneIssueCount += result.urlHygieneIssueCount || 0;
+      totalTtfbValues = totalTtfbValues.concat(result.ttfbValues || []);
+      totalResponseTimeValues = totalResponseTimeValues.concat(result.totalTimeValues || []);
+      totalSlowUrlCount += result.slowUrlCount || 0;
       totalElapsedSeconds += result.elapsedSeconds || 0;
     }
   }
@@ -542,6 +1805,15 @@ async function main() {
   console.log(`Start Time: ${startTime.toISOString()}`);
   console.log(`End Time: ${endTime.toISOString()}`);
   console.log(`Total Execution Time: ${totalElapsedMinutes} minutes (${(totalElapsedMs / 1000).toFixed(2)} seconds)`);
+  const discoveredSitemaps = sitemapsToCheck.filter(
+    (sitemap) => sitemap.source !== 'sitemapconfig.js' && sitemap.source !== 'command line'
+  );
+  if (discoveredSitemaps.length > 0) {
+    console.log(`Discovered Sitemaps: ${discoveredSitemaps.length}`);
+    for (const sitemap of discoveredSitemaps) {
+      console.log(`  ➤ ${sitemap.url} (from ${sitemap.source})`);
+    }
+  }
   console.log(`Total URLs Checked: ${totalUrls}`);
   if (totalUrls > 0) {
     const overallPercentOk = ((totalSuccessCount / totalUrls) * 100).toFixed(2);
@@ -558,11 +1830,51 @@ async function main() {
       `Successful (200): ${totalSuccessCount} (${overallPercentOk}%)`
     );
     console.log(`Redirects: ${totalRedirectCount}`);
+    console.log(`Redirect Chain Issues: ${totalRedirectChainIssueCount}`);
     console.log(`Errors: ${totalErrorCount}`);
+    console.log(`  ➤ Intermittent (recovered after retry): ${totalIntermittentErrorCount}`);
+    console.log(`  ➤ Persistent (failed every attempt): ${totalPersistentErrorCount}`);
+    console.log(`  ➤ Checker errors (check failed without a result): ${totalCheckerErrorCount}`);
+    for (const [category, count] of Object.entries(totalNetworkErrorCounts)) {
+      console.log(`  ➤ ${category}: ${count}`);
+    }
     console.log(
       `Redundant URLs: ${totalRedundantCount} (${overallPercentRedundant}%)`
     );
+    console.log(`Blocked by robots.txt (${ROBOTS_USER_AGENT}): ${totalRobotsBlockedCount}`);
+    console.log(`Canonical Issues: ${totalCanonicalIssueCount}`);
+    console.log(`URL Consistency Issues: ${totalUrlConsistencyIssueCount}`);
+    console.log(`URL Hygiene Issues: ${totalUrlHygieneIssueCount}`);
+    if (compareProfiles.length > 0) {
+      console.log(`User-Agent Differences: ${totalUserAgentDifferenceCount}`);
+    }
+    console.log(`Protocol Violations: ${totalProtocolViolationCount}`);
+    console.log(`Failed or Skipped Sitemaps: ${failedSitemaps.length}`);
     console.log(`Not OK Percentage: ${overallPercentNotOk}%`);
+    console.log(`TTFB p50 / p90 / p99 (ms): ${formatPercentiles(totalTtfbValues)}`);
+    console.log(`Total Time p50 / p90 / p99 (ms): ${formatPercentiles(totalResponseTimeValues)}`);
+    console.log(`Slow URLs (over ${SLOW_URL_THRESHOLD} ms): ${totalSlowUrlCount}`);
+    console.log(`Sitemap Size (compressed): ${formatBytes(totalCompressedSize)}`);
+    console.log(`Sitemap Size (uncompressed): ${formatBytes(totalUncompressedSize)}`);
+    const hostStats = hostRateLimiter.getStats();
+    console.log(`429 Responses: ${hostStats.reduce((sum, stats) => sum + stats.count429, 0)}`);
+    console.log(`503 Responses: ${hostStats.reduce((sum, stats) => sum + stats.count503, 0)}`);
+    console.log('Request Rate by Host:');
+    for (const stats of hostStats) {
+      console.log(
+        `  ➤ ${stats.host}: ${stats.requests} requests, ${stats.count429} x 429, ${stats.count503} x 503, ` +
+          `effective rate ${stats.effectiveRate.toFixed(2)} req/s (limit now ${stats.currentRate.toFixed(2)} req/s)`
+      );
+    }
+    // Every URL whose HEAD request fails costs a second request: worth raising with the site
+    for (const stats of headFallbackStats.values()) {
+      if (stats.requests > 0 && stats.fallbacks / stats.requests >= HEAD_FALLBACK_WARNING_RATIO) {
+        console.warn(
+          `Warning: ${stats.fallbacks} of ${stats.requests} HEAD requests to ${stats.host} fell back to GET, ` +
+            'doubling the requests made for those URLs'
+        );
+      }
+    }
     const overallElapsed = ((Date.now() - overallStart) / 1000).toFixed(2);
     console.log(`Elapsed Time (seconds): ${overallElapsed}`);
   } else {
@@ -573,5 +1885,9 @@ async function main() {
   console.log('Sitemap URL Verification completed successfully.');
 }
 
-// Run the main function
-main();
+// Run the main function when the script is run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { isSummaryRow, getFormattedSitemapName };
@@ -0,0 +1,584 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const sax = require('sax');
+
+// Content types servers use when they serve a gzip file as-is
+const GZIP_CONTENT_TYPES = [
+  'application/gzip',
+  'application/x-gzip',
+  'application/x-gunzip',
+  'application/gzipped',
+  'application/gzip-compressed',
+];
+
+/**
+ * Checks whether a sitemap payload is gzip-compressed
+ * @param {string} url - URL the payload was fetched from
+ * @param {string} contentType - Content-Type header of the response (may be empty)
+ * @param {Buffer} buffer - Raw response body
+ * @returns {boolean} - True if the payload has to be gunzipped before parsing
+ */
+function isGzipped(url, contentType, buffer) {
+  // Magic bytes are the most reliable signal, check them first
+  if (buffer && buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return true;
+  }
+
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (GZIP_CONTENT_TYPES.includes(type)) {
+    return true;
+  }
+
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.gz');
+  } catch (error) {
+    return url.toLowerCase().endsWith('.gz');
+  }
+}
+
+/**
+ * Turns a raw sitemap response body into text, decompressing gzip payloads
+ * @param {string} url - URL the payload was fetched from
+ * @param {Buffer|ArrayBuffer|string} data - Raw response body (use responseType 'arraybuffer')
+ * @param {string} contentType - Content-Type header of the response (may be empty)
+ * @returns {Object} - { content, gzipped, compressedSize, uncompressedSize }
+ */
+function decodeSitemapBody(url, data, contentType) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+  if (isGzipped(url, contentType, buffer)) {
+    // A .gz URL may already have been decompressed through Content-Encoding,
+    // so only gunzip when the bytes really are gzip
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      const uncompressed = zlib.gunzipSync(buffer);
+      console.log(
+        `Decompressed gzip sitemap ${url}: ${formatBytes(buffer.length)} -> ${formatBytes(uncompressed.length)}`
+      );
+      return {
+        content: uncompressed.toString('utf8'),
+        gzipped: true,
+        compressedSize: buffer.length,
+        uncompressedSize: uncompressed.length,
+      };
+    }
+    console.log(`${url} looks like a gzip sitemap but was served uncompressed`);
+  }
+
+  return {
+    content: buffer.toString('utf8'),
+    gzipped: false,
+    compressedSize: buffer.length,
+    uncompressedSize: buffer.length,
+  };
+}
+
+/**
+ * Formats a byte count for summaries, e.g. "1.25 MB (1310720 bytes)"
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB (${bytes} bytes)`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(2)} KB (${bytes} bytes)`;
+  }
+  return `${bytes} bytes`;
+}
+
+/**
+ * Creates a pass-through stream that reports the size of every chunk
+ * @param {Function} onBytes - Called with the byte length of each chunk
+ * @returns {Transform} - Counting stream
+ */
+function createByteCounter(onBytes) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      onBytes(chunk.length);
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Creates a stream that gunzips its input if the first bytes are gzip, and passes it
+ * through unchanged otherwise
+ * @param {string} url - URL the payload is fetched from
+ * @param {string} contentType - Content-Type header of the response (may be empty)
+ * @param {Object} body - Body descriptor whose `gzipped` flag is set when decompressing
+ * @returns {Transform} - Decompressing stream
+ */
+function createGunzipIfNeeded(url, contentType, body) {
+  let gunzip = null;
+  let decided = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (!decided) {
+        decided = true;
+        if (isGzipped(url, contentType, chunk) && chunk[0] === 0x1f && chunk[1] === 0x8b) {
+          body.gzipped = true;
+          gunzip = zlib.createGunzip();
+          gunzip.on('data', (data) => this.push(data));
+          gunzip.on('error', (error) => this.destroy(error));
+        }
+      }
+      if (!gunzip) {
+        callback(null, chunk);
+        return;
+      }
+      gunzip.write(chunk, () => callback());
+    },
+    flush(callback) {
+      if (!gunzip) {
+        callback();
+        return;
+      }
+      gunzip.once('end', () => callback());
+      gunzip.end();
+    },
+  });
+}
+
+/**
+ * Wraps a streamed sitemap response so it is decompressed on the fly and its sizes are
+ * counted. The size fields of the returned descriptor are final once `content` has ended.
+ * @param {string} url - URL the payload is fetched from
+ * @param {Readable} source - Raw response stream (use responseType 'stream')
+ * @param {string} contentType - Content-Type header of the response (may be empty)
+ * @returns {Object} - { content: Readable, gzipped, compressedSize, uncompressedSize }
+ */
+function decodeSitemapStream(url, source, contentType) {
+  const body = {
+    content: null,
+    gzipped: false,
+    compressedSize: 0,
+    uncompressedSize: 0,
+  };
+
+  const streams = [
+    source,
+    createByteCounter((bytes) => (body.compressedSize += bytes)),
+    createGunzipIfNeeded(url, contentType, body),
+    createByteCounter((bytes) => (body.uncompressedSize += bytes)),
+  ];
+  for (let i = 0; i < streams.length - 1; i++) {
+    streams[i].on('error', (error) => streams[streams.length - 1].destroy(error));
+    streams[i].pipe(streams[i + 1]);
+  }
+
+  body.content = streams[streams.length - 1];
+  return body;
+}
+
+/**
+ * Converts a node collected by the SAX parser to the shape xml2js produces with its
+ * default options, so the same extractors work on streamed and buffered sitemaps
+ * @param {Object} node - { attributes, text, children }
+ * @returns {Object|string} - xml2js-style value
+ */
+function toXml2jsValue(node) {
+  const hasAttributes = Object.keys(node.attributes).length > 0;
+  const hasChildren = Object.keys(node.children).length > 0;
+
+  if (!hasChildren && !hasAttributes) {
+    return node.text;
+  }
+
+  const value = { ...node.children };
+  if (hasAttributes) {
+    value.$ = node.attributes;
+  }
+  if (node.text.trim() || (!hasChildren && node.text)) {
+    value._ = node.text;
+  }
+  return value;
+}
+
+// sax errors for a "&" that does not start a valid entity (e.g. a raw & in ?a=1&b=2): the
+// parser keeps the text as written, so these are recorded against their entry instead of
+// rejecting the whole sitemap
+const RECOVERABLE_ENTITY_ERRORS = ['Invalid character in entity name', 'Invalid character entity'];
+
+// Element holding one URL for each XML root we accept, and the format it stands for
+const XML_FORMATS = {
+  urlset: { entry: 'url', type: 'sitemap', format: 'urlset', label: 'XML sitemap' },
+  sitemapindex: { entry: 'sitemap', type: 'index', format: 'sitemapindex', label: 'XML sitemap index' },
+  rss: { entry: 'item', type: 'sitemap', format: 'rss', label: 'RSS 2.0 feed' },
+  'rdf:RDF': { entry: 'item', type: 'sitemap', format: 'rss', label: 'RSS 1.0 feed' },
+  feed: { entry: 'entry', type: 'sitemap', format: 'atom', label: 'Atom feed' },
+};
+
+/**
+ * Reads the URL of an RSS <item> or Atom <entry> collected as an xml2js-style node
+ * @param {string} format - 'rss' or 'atom'
+ * @param {Object} node - xml2js-style node of the item/entry
+ * @returns {string} - URL of the item, or empty string if none
+ */
+function getFeedItemUrl(format, node) {
+  const text = (value) => (typeof value === 'string' ? value : (value && value._) || '').trim();
+
+  if (format === 'atom') {
+    // Prefer rel="alternate" (the default when rel is missing) over self/edit/enclosure links
+    const links = (node.link || []).map((link) => (link && link.$) || {});
+    const alternate = links.find((attrs) => !attrs.rel || attrs.rel === 'alternate');
+    return ((alternate || links[0] || {}).href || '').trim();
+  }
+
+  const link = node.link ? text(node.link[0]) : '';
+  if (link) return link;
+  // Fall back to a permalink <guid> when the item has no <link>
+  const guid = node.guid ? node.guid[0] : null;
+  const isPermaLink = !guid || !guid.$ || guid.$.isPermaLink !== 'false';
+  return guid && isPermaLink && /^https?:\/\//i.test(text(guid)) ? text(guid) : '';
+}
+
+/**
+ * Loads the URLs of a sitemap in any of the accepted formats: XML urlset, XML sitemap
+ * index, RSS 2.0 (and 1.0) <item><link>, Atom <entry><link href> and plain-text files
+ * with one URL per line. Streams are parsed as they arrive (SAX for XML), so large
+ * sitemaps are never held in memory as a document tree.
+ * @param {string|Readable} source - Sitemap content, or a decoded sitemap stream
+ * @param {Object} options - Loader options
+ * @param {Function} options.onEntry - Called with (loc, node) for every URL as soon as it is
+ *   parsed. node is the xml2js-style <url> node for urlsets, and { loc: [loc] } for other
+ *   formats. Not called for the children of a sitemap index. It may return a promise: the
+ *   stream is not read any further until the promises of the chunk resolve (backpressure).
+ *   The URLs passed to onEntry are not kept: urls is then empty for anything but an index.
+ * @returns {Promise<Object>} - { type: 'index'|'sitemap', format, formatLabel, urls, urlCount,
+ *   namespace, entityErrors }: urlCount counts every URL found, entityErrors lists the unescaped "&" found as { loc, element, message }, loc
+ *   being the URL of the entry they were found in ('' outside entries)
+ */
+async function loadSitemap(source, { onEntry } = {}) {
+  const chunks = typeof source === 'string' ? [source] : source;
+  const decoder = new StringDecoder('utf8');
+  const urls = [];
+  let urlCount = 0;
+  let mode = null; // 'xml' or 'text', decided on the first non-whitespace character
+  let xmlFormat = null;
+  let rootName = null;
+  let namespace = '';
+  let pendingText = '';
+  let parserError = null;
+  let pendingEntries = [];
+  const entityErrors = [];
+
+  const emit = (loc, node) => {
+    urlCount++;
+    if (!onEntry) {
+      urls.push(loc);
+      return;
+    }
+    const ready = onEntry(loc, node);
+    if (ready) pendingEntries.push(ready);
+  };
+  // Waits for the consumer to catch up before the next chunk is read
+  const waitForEntries = async () => {
+    if (pendingEntries.length === 0) return;
+    const waiting = pendingEntries;
+    pendingEntries = [];
+    await Promise.all(waiting);
+  };
+
+  // XML: build a small xml2js-style tree for each entry element only
+  const parser = sax.parser(true);
+  const stack = [];
+  let depth = 0;
+  parser.onopentag = (tag) => {
+    depth++;
+    if (depth === 1) {
+      rootName = tag.name;
+      namespace = tag.attributes.xmlns || '';
+      xmlFormat = XML_FORMATS[rootName];
+      if (!xmlFormat) {
+        throw new Error('Invalid XML format: Neither sitemap index nor sitemap detected');
+      }
+      return;
+    }
+    if (stack.length > 0 || tag.name === xmlFormat.entry) {
+      stack.push({ name: tag.name, attributes: tag.attributes, text: '', children: {} });
+    }
+  };
+  parser.ontext = parser.oncdata = (text) => {
+    if (stack.length > 0) {
+      stack[stack.length - 1].text += text;
+    }
+  };
+  parser.onclosetag = () => {
+    depth--;
+    if (stack.length === 0) return;
+
+    const node = stack.pop();
+    const value = toXml2jsValue(node);
+    if (stack.length > 0) {
+      const parent = stack[stack.length - 1];
+      (parent.children[node.name] = parent.children[node.name] || []).push(value);
+      return;
+    }
+
+    let loc;
+    if (xmlFormat.format === 'urlset' || xmlFormat.format === 'sitemapindex') {
+      loc = value.loc ? (typeof value.loc[0] === 'string' ? value.loc[0] : value.loc[0]._ || '').trim() : '';
+    } else {
+      loc = getFeedItemUrl(xmlFormat.format, value);
+    }
+    for (const entityError of node.entityErrors || []) {
+      entityErrors.push({ loc, ...entityError });
+    }
+    if (!loc) return;
+    if (xmlFormat.type === 'index') {
+      urlCount++;
+      urls.push(loc);
+    } else {
+      emit(loc, xmlFormat.format === 'urlset' ? value : { loc: [loc] });
+    }
+  };
+  parser.onerror = (error) => {
+    const message = error.message.split('\n')[0];
+    if (RECOVERABLE_ENTITY_ERRORS.includes(message)) {
+      const entityError = { element: stack.length > 0 ? stack[stack.length - 1].name : rootName, message };
+      if (stack.length > 0) {
+        (stack[0].entityErrors = stack[0].entityErrors || []).push(entityError);
+      } else {
+        entityErrors.push({ loc: '', ...entityError });
+      }
+      parser.resume();
+      return;
+    }
+    parserError = new Error(`Error parsing XML: ${message}`);
+  };
+
+  // Plain text: one URL per line, anything else is ignored
+  let ignoredLines = 0;
+  const handleLine = (rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const [candidate] = line.split(/\s+/);
+    if (/^https?:\/\//i.test(candidate)) {
+      emit(candidate, { loc: [candidate] });
+    } else {
+      ignoredLines++;
+    }
+  };
+
+  for await (const chunk of chunks) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    if (!mode) {
+      pendingText += text;
+      const trimmed = pendingText.replace(/^\uFEFF/, '').trimStart();
+      if (!trimmed) continue;
+      mode = trimmed.startsWith('<') ? 'xml' : 'text';
+      text = pendingText.replace(/^\uFEFF/, '');
+      pendingText = '';
+    }
+
+    if (mode === 'xml') {
+      parser.write(text);
+      if (parserError) throw parserError;
+    } else {
+      pendingText += text;
+      const lines = pendingText.split(/\r?\n/);
+      pendingText = lines.pop();
+      lines.forEach(handleLine);
+    }
+    await waitForEntries();
+  }
+
+  const rest = typeof source === 'string' ? '' : decoder.end();
+  if (mode === 'xml') {
+    parser.write(rest).close();
+    if (parserError) throw parserError;
+  } else if (mode === 'text') {
+    handleLine(pendingText + rest);
+  }
+  await waitForEntries();
+
+  if (urlCount === 0) {
+    throw new Error('Could not extract URLs from sitemap: Invalid format');
+  }
+
+  if (mode === 'text') {
+    console.log(`Detected plain text sitemap with ${urlCount} URLs`);
+    if (ignoredLines > 0) {
+      console.log(`Ignored ${ignoredLines} lines that are not URLs`);
+    }
+    return {
+      type: 'sitemap',
+      format: 'text',
+      formatLabel: 'Plain text sitemap',
+      urls,
+      urlCount,
+      namespace: '',
+      entityErrors,
+    };
+  }
+
+  console.log(`Detected ${xmlFormat.label} with ${urlCount} ${xmlFormat.type === 'index' ? 'sitemaps' : 'URLs'}`);
+  return {
+    type: xmlFormat.type,
+    format: xmlFormat.format,
+    formatLabel: xmlFormat.label,
+    urls,
+    urlCount,
+    namespace,
+    entityErrors,
+  };
+}
+
+/**
+ * Turns a sitemap location from sitemapconfig.js or the command line into a URL. Local
+ * paths, absolute or relative to the working directory, become file:// URLs
+ * @param {string} location - http(s):// URL, file:// URL or local path
+ * @returns {string} - Sitemap URL
+ */
+function toSitemapUrl(location) {
+  if (/^(https?|file):/i.test(location)) {
+    return location;
+  }
+  return pathToFileURL(path.resolve(location)).href;
+}
+
+/**
+ * Checks whether a sitemap URL points to a local file
+ * @param {string} sitemapUrl - Sitemap URL as returned by toSitemapUrl
+ * @returns {boolean} - True for file:// URLs
+ */
+function isLocalSitemap(sitemapUrl) {
+  return /^file:/i.test(sitemapUrl);
+}
+
+/**
+ * Opens a local sitemap file as a stream
+ * @param {string} sitemapUrl - file:// URL of the sitemap
+ * @returns {Promise<Readable>} - Raw (possibly gzipped) file stream
+ */
+async function openLocalSitemap(sitemapUrl) {
+  const filePath = fileURLToPath(sitemapUrl);
+  // Fail here with ENOENT/EISDIR rather than later while parsing
+  const stats = await fs.promises.stat(filePath);
+  if (!stats.isFile()) {
+    throw new Error(`${filePath} is not a file`);
+  }
+  return fs.createReadStream(filePath);
+}
+
+/**
+ * Reads a local sitemap file, to be decoded with decodeSitemapBody
+ * @param {string} sitemapUrl - file:// URL of the sitemap
+ * @returns {Promise<Buffer>} - Raw (possibly gzipped) file content
+ */
+async function readLocalSitemap(sitemapUrl) {
+  return fs.promises.readFile(fileURLToPath(sitemapUrl));
+}
+
+/**
+ * Resolves the <loc> of a child sitemap listed in a sitemap index. Children of a local
+ * index may be paths relative to the index file ("/sitemap-1.xml" is read from the
+ * index directory too, as the index usually sits at the site root)
+ * @param {string} childLoc - <loc> of the child sitemap
+ * @param {string} indexUrl - URL of the sitemap index
+ * @returns {string} - Child sitemap URL
+ */
+function resolveChildSitemapUrl(childLoc, indexUrl) {
+  if (!isLocalSitemap(indexUrl) || /^[a-z][a-z0-9+.-]*:/i.test(childLoc)) {
+    return childLoc;
+  }
+  return new URL(childLoc.replace(/^\/+/, ''), indexUrl).href;
+}
+
+/**
+ * Replaces the origin of a URL, to check the URLs of a sitemap against a staging server
+ * @param {string} url - URL to rewrite
+ * @param {string} toOrigin - Origin to use instead, e.g. https://staging.example.com
+ * @param {string|null} fromOrigin - Only rewrite URLs on this origin (any http(s) origin if null)
+ * @returns {string} - Rewritten URL, or the URL unchanged if it is not rewritten
+ */
+function rewriteUrlOrigin(url, toOrigin, fromOrigin = null) {
+  try {
+    const parsedUrl = new URL(url);
+    if (!/^https?:$/.test(parsedUrl.protocol)) return url;
+    if (fromOrigin && parsedUrl.origin !== fromOrigin) return url;
+    const target = new URL(toOrigin);
+    parsedUrl.protocol = target.protocol;
+    parsedUrl.host = target.host;
+    return parsedUrl.href;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Reads the sitemaps and staging origin given on the command line:
+ *   node script.js [sitemap URL or path...] [--staging-origin=https://staging.example.com]
+ * @param {Array<string>} args - Command-line arguments (process.argv.slice(2))
+ * @returns {Object} - { sitemapUrls, stagingOrigin }
+ */
+function parseSitemapArgs(args) {
+  let stagingOrigin = null;
+  const sitemapUrls = [];
+  for (const arg of args) {
+    const match = /^--staging-origin=(.+)$/.exec(arg);
+    if (match) {
+      stagingOrigin = new URL(match[1]).origin;
+    } else if (!arg.startsWith('--')) {
+      sitemapUrls.push(toSitemapUrl(arg));
+    }
+  }
+  return { sitemapUrls, stagingOrigin };
+}
+
+/**
+ * Lists the sitemaps to check: the ones given on the command line, or else those of the
+ * entries of sitemapconfig.js, discovered with `discover` for entries that only declare an
+ * origin. --staging-origin takes precedence over the stagingOrigin of config entries.
+ * @param {Array<Object>} sitemaps - Entries of sitemapconfig.js
+ * @param {Array<string>} args - Command-line arguments (process.argv.slice(2))
+ * @param {Function} discover - Called with an origin, resolves to its sitemaps as { url, source }
+ *   (robots_txt.js discoverSitemaps)
+ * @returns {Promise<Array<Object>>} - Sitemaps as { url, source, stagingOrigin }
+ */
+async function resolveSitemapsToCheck(sitemaps, args, discover) {
+  const cli = parseSitemapArgs(args);
+  if (cli.sitemapUrls.length > 0) {
+    return cli.sitemapUrls.map((url) => ({
+      url,
+      source: 'command line',
+      stagingOrigin: cli.stagingOrigin,
+    }));
+  }
+
+  const resolved = [];
+  for (const site of sitemaps) {
+    const stagingOrigin =
+      cli.stagingOrigin || (site.stagingOrigin ? new URL(site.stagingOrigin).origin : null);
+    if (site.url) {
+      resolved.push({ url: toSitemapUrl(site.url), source: 'sitemapconfig.js', stagingOrigin });
+    } else if (site.origin) {
+      const discovered = await discover(site.origin);
+      resolved.push(...discovered.map((sitemap) => ({ ...sitemap, stagingOrigin })));
+    }
+  }
+  return resolved;
+}
+
+module.exports = {
+  isGzipped,
+  decodeSitemapBody,
+  decodeSitemapStream,
+  loadSitemap,
+  formatBytes,
+  toSitemapUrl,
+  isLocalSitemap,
+  openLocalSitemap,
+  readLocalSitemap,
+  resolveChildSitemapUrl,
+  rewriteUrlOrigin,
+  parseSitemapArgs,
+  resolveSitemapsToCheck,
+};
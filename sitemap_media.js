@@ -0,0 +1,196 @@
+// Parsing and validation of the image, video and news sitemap extensions
+// See https://developers.google.com/search/docs/crawling-indexing/sitemaps/image-sitemaps
+//     https://developers.google.com/search/docs/crawling-indexing/sitemaps/video-sitemaps
+//     https://developers.google.com/search/docs/crawling-indexing/sitemaps/news-sitemap
+
+const MAX_IMAGES_PER_URL = 1000;
+const MAX_VIDEO_DURATION_SECONDS = 28800; // 8 hours
+const MAX_NEWS_AGE_MS = 2 * 24 * 60 * 60 * 1000; // News articles must be under 2 days old
+
+// Image tags Google stopped supporting in 2022
+const DEPRECATED_IMAGE_TAGS = ['caption', 'geo_location', 'title', 'license'];
+
+/**
+ * Returns the children of an xml2js node with the given local name, whatever the
+ * namespace prefix (e.g. "image:image" or "img:image")
+ * @param {Object} node - xml2js node
+ * @param {string} localName - Element name without prefix
+ * @returns {Array} - Matching child nodes
+ */
+function getChildrenByLocalName(node, localName) {
+  if (!node || typeof node !== 'object') return [];
+  return Object.keys(node)
+    .filter((key) => key !== '$' && key !== '_' && key.includes(':'))
+    .filter((key) => key.split(':').pop() === localName)
+    .flatMap((key) => node[key]);
+}
+
+/**
+ * Reads the text of the first prefixed child with the given local name
+ * @param {Object} node - xml2js node
+ * @param {string} localName - Element name without prefix
+ * @returns {string} - Trimmed text or empty string if absent
+ */
+function getText(node, localName) {
+  const [child] = getChildrenByLocalName(node, localName);
+  if (typeof child === 'string') return child.trim();
+  return child && typeof child._ === 'string' ? child._.trim() : '';
+}
+
+/**
+ * Extracts the image, video and news extension entries of an xml2js <url> entry
+ * @param {Object} urlNode - xml2js node of a <url> entry
+ * @returns {Object} - { images, videos, news }
+ */
+function extractMedia(urlNode) {
+  const images = getChildrenByLocalName(urlNode, 'image').map((image) => ({
+    loc: getText(image, 'loc'),
+    deprecatedTags: DEPRECATED_IMAGE_TAGS.filter(
+      (tag) => getChildrenByLocalName(image, tag).length > 0
+    ),
+  }));
+
+  const videos = getChildrenByLocalName(urlNode, 'video').map((video) => ({
+    thumbnailLoc: getText(video, 'thumbnail_loc'),
+    title: getText(video, 'title'),
+    description: getText(video, 'description'),
+    contentLoc: getText(video, 'content_loc'),
+    playerLoc: getText(video, 'player_loc'),
+    duration: getText(video, 'duration'),
+    rating: getText(video, 'rating'),
+    expirationDate: getText(video, 'expiration_date'),
+  }));
+
+  const news = getChildrenByLocalName(urlNode, 'news').map((item) => {
+    const [publication] = getChildrenByLocalName(item, 'publication');
+    return {
+      hasPublication: Boolean(publication),
+      publicationName: getText(publication, 'name'),
+      publicationLanguage: getText(publication, 'language'),
+      publicationDate: getText(item, 'publication_date'),
+      title: getText(item, 'title'),
+    };
+  });
+
+  return { images, videos, news };
+}
+
+/**
+ * Validates the extension entries of one page against Google's requirements
+ * @param {string} pageUrl - <loc> of the page the entries belong to
+ * @param {Object} media - Entries as returned by extractMedia
+ * @param {Date} now - Reference time for date checks
+ * @returns {Array<Object>} - Issues as { pageUrl, extension, field, value, issue }
+ */
+function validateMedia(pageUrl, media, now = new Date()) {
+  const issues = [];
+  const addIssue = (extension, field, value, issue) =>
+    issues.push({ pageUrl, extension, field, value, issue });
+
+  if (media.images.length > MAX_IMAGES_PER_URL) {
+    addIssue('image', 'image:image', media.images.length, `More than ${MAX_IMAGES_PER_URL} images for one URL`);
+  }
+  for (const image of media.images) {
+    if (!image.loc) {
+      addIssue('image', 'image:loc', '', 'Missing required image:loc');
+    }
+    for (const tag of image.deprecatedTags) {
+      addIssue('image', `image:${tag}`, image.loc, 'Deprecated tag (ignored by Google)');
+    }
+  }
+
+  for (const video of media.videos) {
+    for (const field of ['thumbnailLoc', 'title', 'description']) {
+      if (!video[field]) {
+        const tag = field === 'thumbnailLoc' ? 'thumbnail_loc' : field;
+        addIssue('video', `video:${tag}`, '', `Missing required video:${tag}`);
+      }
+    }
+    if (!video.contentLoc && !video.playerLoc) {
+      addIssue('video', 'video:content_loc', '', 'Missing video:content_loc or video:player_loc');
+    }
+    if (video.contentLoc && video.contentLoc === pageUrl) {
+      addIssue('video', 'video:content_loc', video.contentLoc, 'video:content_loc is the same as the page URL');
+    }
+    if (video.duration) {
+      const duration = Number(video.duration);
+      if (!Number.isInteger(duration) || duration < 1 || duration > MAX_VIDEO_DURATION_SECONDS) {
+        addIssue('video', 'video:duration', video.duration, `Duration must be between 1 and ${MAX_VIDEO_DURATION_SECONDS} seconds`);
+      }
+    }
+    if (video.rating) {
+      const rating = Number(video.rating);
+      if (Number.isNaN(rating) || rating < 0 || rating > 5) {
+        addIssue('video', 'video:rating', video.rating, 'Rating must be between 0.0 and 5.0');
+      }
+    }
+    if (video.expirationDate) {
+      const expiration = Date.parse(video.expirationDate);
+      if (Number.isNaN(expiration)) {
+        addIssue('video', 'video:expiration_date', video.expirationDate, 'Invalid date');
+      } else if (expiration < now.getTime()) {
+        addIssue('video', 'video:expiration_date', video.expirationDate, 'Video has expired');
+      }
+    }
+  }
+
+  for (const item of media.news) {
+    if (!item.hasPublication) {
+      addIssue('news', 'news:publication', '', 'Missing required news:publication');
+    } else {
+      if (!item.publicationName) {
+        addIssue('news', 'news:name', '', 'Missing required news:name');
+      }
+      if (!item.publicationLanguage) {
+        addIssue('news', 'news:language', '', 'Missing required news:language');
+      } else if (!/^([a-z]{2,3}|zh-cn|zh-tw)$/i.test(item.publicationLanguage)) {
+        addIssue('news', 'news:language', item.publicationLanguage, 'Not an ISO 639 language code');
+      }
+    }
+    if (!item.title) {
+      addIssue('news', 'news:title', '', 'Missing required news:title');
+    }
+    if (!item.publicationDate) {
+      addIssue('news', 'news:publication_date', '', 'Missing required news:publication_date');
+    } else {
+      const published = Date.parse(item.publicationDate);
+      if (Number.isNaN(published)) {
+        addIssue('news', 'news:publication_date', item.publicationDate, 'Invalid date');
+      } else if (now.getTime() - published > MAX_NEWS_AGE_MS) {
+        addIssue('news', 'news:publication_date', item.publicationDate, 'Article is older than 2 days');
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Lists the media asset URLs of one page that need an HTTP status check
+ * @param {string} pageUrl - <loc> of the page the entries belong to
+ * @param {Object} media - Entries as returned by extractMedia
+ * @returns {Array<Object>} - Assets as { pageUrl, extension, field, url }
+ */
+function getMediaAssetUrls(pageUrl, media) {
+  const assets = [];
+  for (const image of media.images) {
+    if (image.loc) {
+      assets.push({ pageUrl, extension: 'image', field: 'image:loc', url: image.loc });
+    }
+  }
+  for (const video of media.videos) {
+    if (video.contentLoc) {
+      assets.push({ pageUrl, extension: 'video', field: 'video:content_loc', url: video.contentLoc });
+    }
+    if (video.thumbnailLoc) {
+      assets.push({ pageUrl, extension: 'video', field: 'video:thumbnail_loc', url: video.thumbnailLoc });
+    }
+  }
+  return assets;
+}
+
+module.exports = {
+  extractMedia,
+  validateMedia,
+  getMediaAssetUrls,
+};
@@ -0,0 +1,180 @@
+// Validation of the optional <lastmod>, <changefreq> and <priority> fields of urlset entries
+// See https://www.sitemaps.org/protocol.html#xmlTagDefinitions
+
+const VALID_CHANGEFREQ = [
+  'always',
+  'hourly',
+  'daily',
+  'weekly',
+  'monthly',
+  'yearly',
+  'never',
+];
+
+// W3C Datetime (https://www.w3.org/TR/NOTE-datetime): YYYY, YYYY-MM, YYYY-MM-DD,
+// or a full date with hh:mm, hh:mm:ss or hh:mm:ss.s and a mandatory time zone designator
+const W3C_DATETIME_PATTERN =
+  /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+
+// Allow a day of clock/time zone skew before calling a lastmod "in the future"
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks that the calendar date part of a W3C datetime exists (e.g. rejects 2024-02-30)
+ * @param {string} value - Value already matching W3C_DATETIME_PATTERN
+ * @returns {boolean} - True if the day exists in that month
+ */
+function isExistingDate(value) {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  if (!day) return true;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Reads the text of the first occurrence of a child element parsed by xml2js
+ * @param {Object} node - xml2js node of a <url> entry
+ * @param {string} name - Child element name
+ * @returns {string} - Trimmed text or empty string if the element is absent
+ */
+function getChildText(node, name) {
+  if (!node || !node[name] || node[name].length === 0) return '';
+  const value = node[name][0];
+  if (typeof value === 'string') return value.trim();
+  // Elements with attributes are parsed as { _: 'text', $: {...} }
+  return value && typeof value._ === 'string' ? value._.trim() : '';
+}
+
+/**
+ * Extracts loc, lastmod, changefreq and priority from an xml2js <url> entry
+ * @param {Object} urlNode - xml2js node of a <url> entry
+ * @returns {Object} - { loc, lastmod, changefreq, priority }
+ */
+function extractUrlMetadata(urlNode) {
+  return {
+    loc: getChildText(urlNode, 'loc'),
+    lastmod: getChildText(urlNode, 'lastmod'),
+    changefreq: getChildText(urlNode, 'changefreq'),
+    priority: getChildText(urlNode, 'priority'),
+  };
+}
+
+/**
+ * Validates the metadata of a single urlset entry
+ * @param {Object} entry - { loc, lastmod, changefreq, priority }
+ * @param {Date} now - Reference time for the "in the future" check
+ * @returns {Array<Object>} - Issues as { url, field, value, issue }
+ */
+function validateEntryMetadata(entry, now = new Date()) {
+  const issues = [];
+  const addIssue = (field, value, issue) =>
+    issues.push({ url: entry.loc, field, value, issue });
+
+  if (entry.lastmod) {
+    if (!W3C_DATETIME_PATTERN.test(entry.lastmod)) {
+      addIssue('lastmod', entry.lastmod, 'Not a valid W3C datetime');
+    } else {
+      const lastmodTime = Date.parse(entry.lastmod);
+      if (Number.isNaN(lastmodTime) || !isExistingDate(entry.lastmod)) {
+        addIssue('lastmod', entry.lastmod, 'Not a valid W3C datetime');
+      } else if (lastmodTime > now.getTime() + FUTURE_TOLERANCE_MS) {
+        addIssue('lastmod', entry.lastmod, 'Date is in the future');
+      }
+    }
+  }
+
+  if (entry.changefreq && !VALID_CHANGEFREQ.includes(entry.changefreq.toLowerCase())) {
+    addIssue('changefreq', entry.changefreq, 'Unknown changefreq value');
+  }
+
+  if (entry.priority) {
+    const priority = Number(entry.priority);
+    if (!/^\d*\.?\d+$/.test(entry.priority) || Number.isNaN(priority)) {
+      addIssue('priority', entry.priority, 'Priority is not a number');
+    } else if (priority < 0 || priority > 1) {
+      addIssue('priority', entry.priority, 'Priority outside 0.0-1.0');
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Creates a validator fed one urlset entry at a time, so a streamed sitemap never has to
+ * be held in memory to validate its metadata
+ * @param {string} sitemapUrl - URL of the sitemap, used for sitemap-level issues
+ * @returns {Object} - { add(entry), finish() }: finish returns { issuesByUrl, sitemapIssues, allIssues }
+ */
+function createMetadataValidator(sitemapUrl) {
+  const now = new Date();
+  const issuesByUrl = new Map();
+  const allIssues = [];
+  let entryCount = 0;
+  let lastmodCount = 0;
+  let sharedLastmod = null; // lastmod of every entry so far, or '' once two differ
+
+  /**
+   * Validates one entry
+   * @param {Object} entry - Entry as returned by extractUrlMetadata
+   */
+  function add(entry) {
+    entryCount++;
+    const entryIssues = validateEntryMetadata(entry, now);
+    if (entryIssues.length > 0) {
+      issuesByUrl.set(entry.loc, [
+        ...(issuesByUrl.get(entry.loc) || []),
+        ...entryIssues,
+      ]);
+      allIssues.push(...entryIssues);
+    }
+    if (entry.lastmod) {
+      lastmodCount++;
+      if (sharedLastmod === null) {
+        sharedLastmod = entry.lastmod;
+      } else if (sharedLastmod !== entry.lastmod) {
+        sharedLastmod = '';
+      }
+    }
+  }
+
+  /**
+   * Adds the sitemap-level issues once every entry has been validated
+   * @returns {Object} - { issuesByUrl: Map<string, Array<Object>>, sitemapIssues: Array<Object>, allIssues: Array<Object> }
+   */
+  function finish() {
+    // A lastmod that is identical on every URL is usually the generation time of the
+    // sitemap and gives search engines no useful signal
+    const sitemapIssues = [];
+    if (entryCount > 1 && lastmodCount === entryCount && sharedLastmod) {
+      sitemapIssues.push({
+        url: sitemapUrl,
+        field: 'lastmod',
+        value: sharedLastmod,
+        issue: `All ${entryCount} URLs share the same lastmod`,
+      });
+    }
+    return { issuesByUrl, sitemapIssues, allIssues: [...allIssues, ...sitemapIssues] };
+  }
+
+  return { add, finish };
+}
+
+/**
+ * Validates the metadata of every entry in a urlset and the sitemap as a whole
+ * @param {Array<Object>} entries - Entries as returned by extractUrlMetadata
+ * @param {string} sitemapUrl - URL of the sitemap, used for sitemap-level issues
+ * @returns {Object} - { issuesByUrl: Map<string, Array<Object>>, sitemapIssues: Array<Object>, allIssues: Array<Object> }
+ */
+function validateSitemapMetadata(entries, sitemapUrl) {
+  const validator = createMetadataValidator(sitemapUrl);
+  entries.forEach(validator.add);
+  return validator.finish();
+}
+
+module.exports = {
+  VALID_CHANGEFREQ,
+  extractUrlMetadata,
+  validateEntryMetadata,
+  createMetadataValidator,
+  validateSitemapMetadata,
+};
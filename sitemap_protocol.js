@@ -0,0 +1,187 @@
+// Validation of sitemaps against the limits and structural rules of the sitemap protocol
+// See https://www.sitemaps.org/protocol.html
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_UNCOMPRESSED_SIZE = 50 * 1024 * 1024; // 50 MB (52,428,800 bytes)
+const MAX_URL_LENGTH = 2048;
+
+// Characters that may appear unescaped in a URL (RFC 3986 unreserved, reserved and '%')
+const UNESCAPED_CHARACTERS_PATTERN = /[^A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]/;
+const INVALID_PERCENT_ENCODING_PATTERN = /%(?![0-9A-Fa-f]{2})/;
+
+const SEVERITY = {
+  ERROR: 'Error',
+  WARNING: 'Warning',
+};
+
+/**
+ * Checks one <loc> value against the rules of the protocol
+ * @param {string} url - <loc> value as written in the sitemap
+ * @param {Object} sitemap - Sitemap the URL is listed in
+ * @param {string} sitemap.sitemapUrl - URL of the sitemap
+ * @param {string} sitemap.type - 'index' or 'sitemap'
+ * @returns {Array<Object>} - Violations as { sitemapUrl, url, rule, severity, details }
+ */
+function checkProtocolUrl(url, { sitemapUrl, type }) {
+  const violations = [];
+  const addViolation = (rule, severity, details) => violations.push({ sitemapUrl, url, rule, severity, details });
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    addViolation('relative-url', SEVERITY.ERROR, 'URL is not absolute');
+    return violations;
+  }
+
+  if (UNESCAPED_CHARACTERS_PATTERN.test(url)) {
+    addViolation('unescaped-url', SEVERITY.ERROR, 'URL contains characters that must be escaped');
+  } else if (INVALID_PERCENT_ENCODING_PATTERN.test(url)) {
+    addViolation('unescaped-url', SEVERITY.ERROR, 'URL contains a "%" that is not a valid escape');
+  }
+
+  if (url.length > MAX_URL_LENGTH) {
+    addViolation('url-too-long', SEVERITY.ERROR, `${url.length} characters (limit is ${MAX_URL_LENGTH})`);
+  }
+
+  let sitemapLocation = null;
+  try {
+    sitemapLocation = new URL(sitemapUrl);
+  } catch (error) {
+    // Sitemaps read from somewhere other than a URL can't be compared by host
+  }
+  if (sitemapLocation && /^https?:$/.test(sitemapLocation.protocol)) {
+    // A sitemap index may list sitemaps on other hosts when they are cross-submitted
+    // through robots.txt, so that case is only a warning
+    const severity = type === 'index' ? SEVERITY.WARNING : SEVERITY.ERROR;
+    if (parsedUrl.hostname !== sitemapLocation.hostname) {
+      addViolation('different-host', severity, `Host ${parsedUrl.hostname} differs from sitemap host ${sitemapLocation.hostname}`);
+    }
+    if (parsedUrl.protocol !== sitemapLocation.protocol) {
+      addViolation('different-scheme', severity, `Scheme ${parsedUrl.protocol} differs from sitemap scheme ${sitemapLocation.protocol}`);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validates a fetched sitemap or sitemap index against the sitemap protocol
+ * @param {Object} sitemap - Sitemap to validate
+ * @param {string} sitemap.sitemapUrl - URL of the sitemap
+ * @param {string} sitemap.type - 'index' or 'sitemap'
+ * @param {string} sitemap.format - 'urlset', 'sitemapindex', 'rss', 'atom' or 'text'
+ * @param {Array<string>} sitemap.urls - <loc> values of the sitemap
+ * @param {number} sitemap.urlCount - Number of entries, if the URLs were checked while streaming
+ *   (see createProtocolValidator) and urls is empty
+ * @param {string} sitemap.namespace - xmlns of the root element (may be empty)
+ * @param {number} sitemap.uncompressedSize - Uncompressed size in bytes
+ * @param {string|null} sitemap.parentIndexUrl - URL of the index listing this sitemap, if any
+ * @param {Array<Object>} sitemap.entityErrors - Unescaped "&" reported by the loader, as
+ *   { loc, element, message }
+ * @returns {Array<Object>} - Violations as { sitemapUrl, url, rule, severity, details }
+ */
+function validateSitemapProtocol({
+  sitemapUrl,
+  type,
+  format = type === 'index' ? 'sitemapindex' : 'urlset',
+  urls = [],
+  urlCount = urls.length,
+  namespace,
+  uncompressedSize,
+  parentIndexUrl = null,
+  entityErrors = [],
+}) {
+  const violations = [];
+  const addViolation = (url, rule, severity, details) =>
+    violations.push({ sitemapUrl, url, rule, severity, details });
+
+  if (urlCount > MAX_URLS_PER_SITEMAP) {
+    addViolation(
+      '',
+      type === 'index' ? 'too-many-sitemaps' : 'too-many-urls',
+      SEVERITY.ERROR,
+      `${urlCount} entries (limit is ${MAX_URLS_PER_SITEMAP})`
+    );
+  }
+
+  if (uncompressedSize > MAX_UNCOMPRESSED_SIZE) {
+    addViolation(
+      '',
+      'file-too-large',
+      SEVERITY.ERROR,
+      `${uncompressedSize} bytes uncompressed (limit is ${MAX_UNCOMPRESSED_SIZE})`
+    );
+  }
+
+  if (type === 'index' && parentIndexUrl) {
+    addViolation(
+      '',
+      'nested-sitemap-index',
+      SEVERITY.ERROR,
+      `Sitemap index is listed in another sitemap index (${parentIndexUrl})`
+    );
+  }
+
+  // RSS, Atom and plain-text sitemaps have no sitemap namespace to check
+  const isXmlSitemap = format === 'urlset' || format === 'sitemapindex';
+  if (isXmlSitemap && !namespace) {
+    addViolation('', 'missing-xmlns', SEVERITY.ERROR, `Root element has no xmlns (expected ${SITEMAP_NAMESPACE})`);
+  } else if (isXmlSitemap && namespace.replace(/\/$/, '') !== SITEMAP_NAMESPACE) {
+    addViolation('', 'wrong-xmlns', SEVERITY.ERROR, `xmlns is ${namespace} (expected ${SITEMAP_NAMESPACE})`);
+  }
+
+  // The XML itself is not escaped: "&" has to be written &amp; in any element
+  for (const { loc, element, message } of entityErrors) {
+    addViolation(loc, 'unescaped-url', SEVERITY.ERROR, `${message} in <${element}>: "&" must be written &amp;`);
+  }
+
+  for (const url of urls) {
+    violations.push(...checkProtocolUrl(url, { sitemapUrl, type }));
+  }
+
+  return violations;
+}
+
+/**
+ * Creates a validator fed one <loc> of a urlset at a time, so the URLs of a streamed
+ * sitemap don't have to be kept to validate them
+ * @param {string} sitemapUrl - URL of the sitemap
+ * @returns {Object} - { add(url), finish(sitemap) }: finish takes the fields of
+ *   validateSitemapProtocol but urls and urlCount, and returns every violation
+ */
+function createProtocolValidator(sitemapUrl) {
+  const urlViolations = [];
+  let urlCount = 0;
+
+  /**
+   * Checks one URL of the urlset
+   * @param {string} url - <loc> value as written in the sitemap
+   */
+  function add(url) {
+    urlCount++;
+    urlViolations.push(...checkProtocolUrl(url, { sitemapUrl, type: 'sitemap' }));
+  }
+
+  /**
+   * Adds the sitemap-level violations once every URL has been checked
+   * @param {Object} sitemap - See validateSitemapProtocol
+   * @returns {Array<Object>} - Violations as { sitemapUrl, url, rule, severity, details }
+   */
+  function finish(sitemap) {
+    return [...validateSitemapProtocol({ ...sitemap, sitemapUrl, urls: [], urlCount }), ...urlViolations];
+  }
+
+  return { add, finish };
+}
+
+module.exports = {
+  SITEMAP_NAMESPACE,
+  MAX_URLS_PER_SITEMAP,
+  MAX_UNCOMPRESSED_SIZE,
+  SEVERITY,
+  checkProtocolUrl,
+  validateSitemapProtocol,
+  createProtocolValidator,
+};
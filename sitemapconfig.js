@@ -1,16 +1,46 @@
 // Shared configuration file for all SEO checking scripts
 const sitemaps = [
   // Fill in the sitemaps you want to check with their corresponding siteId
+  // Use `origin` instead of `url` to discover the sitemaps from robots.txt
+  // `url` may also be a local path or file:// URL, and `stagingOrigin` rewrites the <loc> host
+  // Request settings apply to every request sent to the hosts of the entry (those of `url`,
+  // `origin` and `stagingOrigin`, their subdomains and any listed in `hosts`), e.g.:
+  // {
+  //   url: 'https://www.wilson.com/sitemap.xml',
+  //   headers: { eds_process: 'special-wilson-header' },
+  //   basicAuth: { usernameEnv: 'WILSON_USER', passwordEnv: 'WILSON_PASSWORD' }, // env variable names
+  //   cookies: { session: 'abc123' },
+  //   userAgent: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+  //   proxy: 'socks5://de.proxy.example.com:1080', // replaces the global proxy, false to bypass it
+  //   caseInsensitivePaths: true, // /Page and /page serve the same page, uppercase paths are flagged
+  // },
   {
     url: 'https://www.jet2holidays.com/sitemap.xml',
     siteId: '',
-  }
+  },
+  // Request settings only (no url or origin, so nothing is checked for it): wilson.com
+  // needs this header on every request
+  {
+    hosts: ['wilson.com'],
+    headers: { eds_process: 'special-wilson-header' },
+  },
 ];
 
-// For backward compatibility
-const sitemapUrls = sitemaps.map((site) => site.url);
+// Proxy for every request, unless the sitemaps entry declares its own `proxy`
+// HTTP, HTTPS and SOCKS (socks4://, socks5://) proxies are supported, e.g.:
+// const proxy = {
+//   url: 'http://proxy.example.com:8080', // or pool: [...] to rotate between proxies per request
+//   usernameEnv: 'PROXY_USER', // env variable names, credentials may also be put in the URL
+//   passwordEnv: 'PROXY_PASSWORD',
+//   noProxy: ['localhost', '.internal.example.com'], // hosts requested directly
+// };
+const proxy = null;
+
+// For backward compatibility (entries that only declare an origin are skipped)
+const sitemapUrls = sitemaps.map((site) => site.url).filter(Boolean);
 
 module.exports = {
   sitemapUrls,
   sitemaps,
+  proxy,
 };
@@ -1,14 +1,34 @@
 const axios = require('axios');
-const xml2js = require('xml2js');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
-const { sitemapUrls } = require('./sitemapconfig');
-
-// Function to check if a URL is from wilson.com
-function isWilsonUrl(url) {
-  return url.includes('wilson.com');
-}
+const { sitemaps, proxy } = require('./sitemapconfig');
+const {
+  decodeSitemapStream,
+  loadSitemap,
+  formatBytes,
+  isLocalSitemap,
+  openLocalSitemap,
+  resolveChildSitemapUrl,
+  rewriteUrlOrigin,
+  resolveSitemapsToCheck,
+} = require('./sitemap_loader');
+const { discoverSitemaps } = require('./robots_txt');
+const { classifyNetworkError, countNetworkErrors, addNetworkErrorCounts } = require('./network_errors');
+const { createRequestSettings } = require('./request_settings');
+const { timedRequest, formatPercentiles, getResponseTimeStats } = require('./response_timing');
+const { parseUserAgentArgs } = require('./user_agents');
+
+// Headers, cookies, user agent, basic auth and proxy declared in sitemapconfig.js
+const requestSettings = createRequestSettings(sitemaps, { proxy });
+
+const SLOW_URL_THRESHOLD = 2000; // Total time (ms) above which a URL is listed as slow
+const DISCOVERY_TIMEOUT = 5000; // Timeout of the robots.txt requests made to discover sitemaps
+const MAX_SITEMAP_DEPTH = 3; // Maximum nesting depth of sitemap indexes
+
+// User-agent profile of every request (see user_agents.js), overridden by --user-agent=<profile>
+const USER_AGENT_PROFILE = 'desktop-browser';
+const { profile: userAgentProfile } = parseUserAgentArgs(process.argv.slice(2), USER_AGENT_PROFILE);
 
 // Common soft 404 indicators in different languages - refined to reduce false positives
 const SOFT_404_INDICATORS = {
@@ -67,112 +87,52 @@ const FALSE_POSITIVE_TERMS = [
 // Function to fetch content from a given URL
 async function fetchContent(url) {
   try {
+    // Local sitemaps (pre-deployment validation) are streamed from disk
+    if (isLocalSitemap(url)) {
+      console.log(`Reading local sitemap ${url}...`);
+      return decodeSitemapStream(url, await openLocalSitemap(url), '');
+    }
+
     console.log(`Fetching content from ${url}...`);
 
     // Configure request headers
     const headers = {
-      'User-Agent':
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'User-Agent': userAgentProfile.userAgent,
     };
 
-    // Add special header for Wilson.com
-    if (isWilsonUrl(url)) {
-      console.log('Adding special header for Wilson.com request');
-      headers['eds_process'] = 'special-wilson-header';
-    }
-
-    const response = await axios.get(url, { headers });
-    console.log(`Successfully fetched content from ${url}`);
-    return response.data;
+    // Stream the raw bytes so large sitemaps are parsed as they arrive, and gzip-compressed
+    // sitemaps (.xml.gz) are decompressed on the fly
+    const response = await axios.get(
+      url,
+      requestSettings.applySiteSettings(url, {
+        headers,
+        responseType: 'stream',
+      })
+    );
+    console.log(`Streaming content from ${url}`);
+    return decodeSitemapStream(url, response.data, response.headers['content-type']);
   } catch (error) {
     console.error(`Error fetching content from ${url}: ${error.message}`);
     return null;
   }
 }
 
-// Function to parse the fetched XML
-async function parseXml(xml) {
-  const parser = new xml2js.Parser();
-  try {
-    console.log('Parsing XML...');
-    return await parser.parseStringPromise(xml);
-  } catch (error) {
-    console.error(`Error parsing XML: ${error.message}`);
-    return null;
-  }
-}
-
-// Function to extract URLs from sitemap or sitemap index
-async function getSitemapsOrUrls(content) {
-  // First try to parse as XML
-  const parsedXml = await parseXml(content);
-
-  if (parsedXml) {
-    if (parsedXml.sitemapindex && parsedXml.sitemapindex.sitemap) {
-      console.log('Detected sitemap index with multiple sitemaps');
-      return {
-        type: 'index',
-        urls: parsedXml.sitemapindex.sitemap.map((sitemap) => sitemap.loc[0]),
-      };
-    } else if (parsedXml.urlset && parsedXml.urlset.url) {
-      console.log(`Detected sitemap with ${parsedXml.urlset.url.length} URLs`);
-      return {
-        type: 'sitemap',
-        urls: parsedXml.urlset.url.map((url) => url.loc[0]),
-      };
-    }
-  }
-
-  // If XML parsing fails or doesn't match expected format, try to parse as plain text
-  console.log('Trying to parse as plain text sitemap...');
-
-  // Check if content is a string
-  if (typeof content === 'string') {
-    // Split by lines and extract URLs
-    const lines = content.split('\n');
-    const urls = [];
-
-    for (const line of lines) {
-      // Extract URL from each line (assuming URL is the first item on each line)
-      const parts = line.trim().split(' ');
-      if (parts.length > 0 && parts[0].startsWith('http')) {
-        urls.push(parts[0]);
-      }
-    }
-
-    if (urls.length > 0) {
-      console.log(`Extracted ${urls.length} URLs from plain text sitemap`);
-      return {
-        type: 'sitemap',
-        urls: urls,
-      };
-    }
-  }
-
-  throw new Error('Could not extract URLs from sitemap: Invalid format');
-}
-
 // Function to fetch the HTML content of a page
 async function fetchPageContent(url) {
-  try {
-    console.log(`Fetching content for: ${url}`);
-
-    // Configure request headers
-    const headers = {
-      'User-Agent':
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-    };
+  // Configure request headers
+  const headers = {
+    'User-Agent': userAgentProfile.userAgent,
+  };
+  const requestOptions = requestSettings.applySiteSettings(url, {
+    headers,
+    timeout: 15000, // 15 seconds timeout
+  });
+  const proxyUsed = requestSettings.getProxyUsed(requestOptions);
 
-    // Add special header for Wilson.com
-    if (isWilsonUrl(url)) {
-      console.log('Adding special header for Wilson.com request');
-      headers['eds_process'] = 'special-wilson-header';
-    }
+  try {
+    console.log(`Fetching content for: ${url}${proxyUsed ? ` via ${proxyUsed}` : ''}`);
 
-    const response = await axios.get(url, {
-      headers,
-      timeout: 15000, // 15 seconds timeout
-    });
+    const response = await timedRequest('get', url, requestOptions);
 
     console.log(
       `Successfully fetched content for: ${url} (${response.status})`
@@ -180,6 +140,8 @@ async function fetchPageContent(url) {
     return {
       content: response.data,
       status: response.status,
+      proxy: proxyUsed,
+      timing: response.timing,
     };
   } catch (error) {
     if (error.response) {
@@ -189,12 +151,20 @@ async function fetchPageContent(url) {
       return {
         content: error.response.data || '',
         status: error.response.status,
+        proxy: proxyUsed,
+        timing: error.timing,
       };
     } else {
-      console.error(`Error fetching page content for ${url}: ${error.message}`);
+      // Network errors have no status: record their category and code instead
+      const { category, code, message } = classifyNetworkError(error);
+      console.error(`Error fetching page content for ${url}: ${category} (${code}) ${message}`);
       return {
         content: '',
-        status: 'Network Error',
+        status: '',
+        errorCategory: category,
+        errorCode: code,
+        proxy: proxyUsed,
+        timing: error.timing,
       };
     }
   }
@@ -374,10 +344,18 @@ function checkForSoft404(html, url, httpStatus) {
 function getFormattedSitemapName(sitemapUrl) {
   const urlObj = new URL(sitemapUrl);
   let pathname = urlObj.pathname;
+  // Local sitemaps are named after the file only, not its full path on disk
+  if (isLocalSitemap(sitemapUrl)) {
+    pathname = path.basename(pathname);
+  }
   // Remove the leading slash if present
   if (pathname.startsWith('/')) {
     pathname = pathname.substring(1);
   }
+  // Remove the '.gz' extension of compressed sitemaps if present
+  if (pathname.endsWith('.gz')) {
+    pathname = pathname.slice(0, -3);
+  }
   // Remove the '.xml' extension if present
   if (pathname.endsWith('.xml')) {
     pathname = pathname.slice(0, -4);
@@ -393,9 +371,11 @@ function createResultsDirectory(sitemapUrl) {
     fs.mkdirSync(resultsDir);
   }
 
-  // Parse the sitemap URL to get the website name
+  // Parse the sitemap URL to get the website name (local sitemaps go to a "local" directory)
   const parsedUrl = new URL(sitemapUrl);
-  const domainName = parsedUrl.hostname.replace(/\./g, '_');
+  const domainName = isLocalSitemap(sitemapUrl)
+    ? 'local'
+    : parsedUrl.hostname.replace(/\./g, '_');
 
   // Directory for the specific website
   const siteResultsDir = path.join(resultsDir, domainName);
@@ -416,7 +396,9 @@ function saveResultsToCsv(
   soft404Count,
   errorCount,
   totalUrls,
-  resultsDir
+  resultsDir,
+  sitemapBody,
+  formatLabel
 ) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const formattedName = getFormattedSitemapName(sitemapUrl);
@@ -428,7 +410,11 @@ function saveResultsToCsv(
       (result) =>
         `${result.url},${result.httpStatus},${
           result.isSoft404
-        },${result.indicators.join('|')},${result.status}`
+        },${result.indicators.join('|')},${result.status},${
+          result.errorCategory || ''
+        },${result.errorCode || ''},${result.proxy || ''},${result.ttfb},${
+          result.totalTime
+        },${result.responseSize}`
     )
     .join('\n');
 
@@ -436,17 +422,28 @@ function saveResultsToCsv(
   const okPercentage = ((okCount / totalUrls) * 100).toFixed(2);
   const soft404Percentage = ((soft404Count / totalUrls) * 100).toFixed(2);
   const errorPercentage = ((errorCount / totalUrls) * 100).toFixed(2);
+  const networkErrorCounts = countNetworkErrors(results);
+  const { ttfbValues, totalTimeValues, slowUrls } = getResponseTimeStats(results, SLOW_URL_THRESHOLD);
 
   // Adding summary at the end of the CSV file
   const summary =
     `\nTotal URLs Checked,${totalUrls}` +
     `\nOK URLs,${okCount} (${okPercentage}%)` +
     `\nSoft 404 URLs,${soft404Count} (${soft404Percentage}%)` +
-    `\nError URLs,${errorCount} (${errorPercentage}%)`;
+    `\nError URLs,${errorCount} (${errorPercentage}%)` +
+    Object.entries(networkErrorCounts)
+      .map(([category, count]) => `\nNetwork Errors (${category}),${count}`)
+      .join('') +
+    `\nResponse Time TTFB p50 / p90 / p99 (ms),${formatPercentiles(ttfbValues)}` +
+    `\nResponse Time Total p50 / p90 / p99 (ms),${formatPercentiles(totalTimeValues)}` +
+    `\nSlow URLs (over ${SLOW_URL_THRESHOLD} ms),${slowUrls.length}` +
+    `\nSitemap Format,${formatLabel}` +
+    `\nSitemap Size (compressed),${formatBytes(sitemapBody.compressedSize)}` +
+    `\nSitemap Size (uncompressed),${formatBytes(sitemapBody.uncompressedSize)}`;
 
   fs.writeFileSync(
     filePath,
-    `URL,HTTP Status,Is Soft 404,Indicators,Status\n${csvContent}${summary}`,
+    `URL,HTTP Status,Is Soft 404,Indicators,Status,Error Category,Error Code,Proxy,TTFB (ms),Total Time (ms),Response Size (bytes)\n${csvContent}${summary}`,
     'utf-8'
   );
   console.log(`Results saved to ${filePath}`);
@@ -455,18 +452,77 @@ function saveResultsToCsv(
 }
 
 // Function to process a single sitemap
-async function processSitemap(sitemapUrl) {
+// Child sitemaps forming a cycle, already processed or nested too deep are skipped
+async function processSitemap(sitemapUrl, stagingOrigin = null, { depth = 0, ancestors = [], visited = new Set() } = {}) {
   console.log(`\n========== Processing sitemap: ${sitemapUrl} ==========\n`);
+  visited.add(sitemapUrl);
 
-  const content = await fetchContent(sitemapUrl);
-  if (!content) {
+  const sitemapBody = await fetchContent(sitemapUrl);
+  if (!sitemapBody) {
     console.error(`Failed to fetch sitemap content from ${sitemapUrl}`);
     return null;
   }
 
+  const results = [];
+  let okCount = 0;
+  let soft404Count = 0;
+  let errorCount = 0;
+
+  // Function to check one page for soft 404 indicators and add its row
+  const checkPage = async (url) => {
+    console.log(`[${results.length + 1}] Checking URL: ${url}`);
+
+    const { content, status, errorCategory, errorCode, proxy: proxyUsed, timing } = await fetchPageContent(url);
+    // Network errors got no page to analyze: report them as such instead of an HTTP error
+    const result = errorCategory
+      ? {
+          url,
+          isSoft404: false,
+          httpStatus: '',
+          indicators: [],
+          status: `Network error: ${errorCategory} (${errorCode})`,
+          errorCategory,
+          errorCode,
+        }
+      : checkForSoft404(content, url, status);
+    result.proxy = proxyUsed;
+    result.ttfb = timing ? timing.ttfb : '';
+    result.totalTime = timing ? timing.totalTime : '';
+    result.responseSize = timing ? timing.size : '';
+    results.push(result);
+
+    // Log the result
+    console.log(`  ➤ HTTP Status: ${result.httpStatus}`);
+    console.log(`  ➤ Soft 404: ${result.isSoft404}`);
+    if (result.indicators.length > 0) {
+      console.log(`  ➤ Indicators: ${result.indicators.join(', ')}`);
+    }
+    console.log(`  ➤ Status: ${result.status}\n`);
+
+    // Update counters
+    if (result.isSoft404) {
+      soft404Count++;
+    } else if (result.httpStatus === 200) {
+      okCount++;
+    } else {
+      errorCount++;
+    }
+  };
+
+  // Pages are checked one at a time while the sitemap is streamed: the stream waits for
+  // the checks of each chunk before reading the next one
+  let pendingCheck = Promise.resolve();
   let sitemapData;
   try {
-    sitemapData = await getSitemapsOrUrls(content, sitemapUrl);
+    // Accepts XML sitemaps and indexes, RSS 2.0/Atom feeds and plain-text sitemaps
+    sitemapData = await loadSitemap(sitemapBody.content, {
+      onEntry: (loc) => {
+        // Check the pages on the staging origin instead of the live one if requested
+        const url = stagingOrigin ? rewriteUrlOrigin(loc, stagingOrigin) : loc;
+        pendingCheck = pendingCheck.then(() => checkPage(url));
+        return pendingCheck;
+      },
+    });
   } catch (error) {
     console.error(`Error processing sitemap ${sitemapUrl}: ${error.message}`);
     return null;
@@ -482,59 +538,52 @@ async function processSitemap(sitemapUrl) {
       okCount: 0,
       soft404Count: 0,
       errorCount: 0,
+      networkErrorCounts: {},
+      slowUrlCount: 0,
     };
 
-    for (const childSitemapUrl of sitemapData.urls) {
-      const result = await processSitemap(childSitemapUrl);
+    for (const childLoc of sitemapData.urls) {
+      const resolvedUrl = resolveChildSitemapUrl(childLoc, sitemapUrl);
+      const childSitemapUrl = stagingOrigin
+        ? rewriteUrlOrigin(resolvedUrl, stagingOrigin)
+        : resolvedUrl;
+      if (childSitemapUrl === sitemapUrl || ancestors.includes(childSitemapUrl)) {
+        const cycle = [...ancestors, sitemapUrl, childSitemapUrl].join(' -> ');
+        console.log(`Skipping ${childSitemapUrl}: cycle detected: ${cycle}`);
+        continue;
+      }
+      if (visited.has(childSitemapUrl)) {
+        console.log(`Skipping ${childSitemapUrl}: already processed in this run`);
+        continue;
+      }
+      if (depth + 1 > MAX_SITEMAP_DEPTH) {
+        console.log(`Skipping ${childSitemapUrl}: maximum sitemap index depth (${MAX_SITEMAP_DEPTH}) exceeded`);
+        continue;
+      }
+      const result = await processSitemap(childSitemapUrl, stagingOrigin, {
+        depth: depth + 1,
+        ancestors: [...ancestors, sitemapUrl],
+        visited,
+      });
       if (result) {
         totalResults.totalUrls += result.totalUrls;
         totalResults.okCount += result.okCount;
         totalResults.soft404Count += result.soft404Count;
         totalResults.errorCount += result.errorCount;
+        addNetworkErrorCounts(totalResults.networkErrorCounts, result.networkErrorCounts);
+        totalResults.slowUrlCount += result.slowUrlCount;
       }
     }
 
     return totalResults;
   }
 
-  const urls = sitemapData.urls;
-  console.log(`Processing ${urls.length} URLs from sitemap: ${sitemapUrl}`);
-
-  const results = [];
-  let okCount = 0;
-  let soft404Count = 0;
-  let errorCount = 0;
+  const totalUrls = results.length;
+  console.log(`Checked ${totalUrls} URLs from sitemap: ${sitemapUrl}`);
 
   // Create the results directory
   const resultsDir = createResultsDirectory(sitemapUrl);
 
-  // Process each URL in the sitemap
-  for (let i = 0; i < urls.length; i++) {
-    const url = urls[i];
-    console.log(`[${i + 1}/${urls.length}] Checking URL: ${url}`);
-
-    const { content, status } = await fetchPageContent(url);
-    const result = checkForSoft404(content, url, status);
-    results.push(result);
-
-    // Log the result
-    console.log(`  ➤ HTTP Status: ${result.httpStatus}`);
-    console.log(`  ➤ Soft 404: ${result.isSoft404}`);
-    if (result.indicators.length > 0) {
-      console.log(`  ➤ Indicators: ${result.indicators.join(', ')}`);
-    }
-    console.log(`  ➤ Status: ${result.status}\n`);
-
-    // Update counters
-    if (result.isSoft404) {
-      soft404Count++;
-    } else if (result.httpStatus === 200) {
-      okCount++;
-    } else {
-      errorCount++;
-    }
-  }
-
   // Save results to CSV
   const filePath = saveResultsToCsv(
     results,
@@ -542,54 +591,104 @@ async function processSitemap(sitemapUrl) {
     okCount,
     soft404Count,
     errorCount,
-    urls.length,
-    resultsDir
+    totalUrls,
+    resultsDir,
+    sitemapBody,
+    sitemapData.formatLabel
   );
 
   // Display summary
   console.log(`\n========== Summary for sitemap: ${sitemapUrl} ==========`);
-  console.log(`Total URLs Checked: ${urls.length}`);
+  console.log(`Total URLs Checked: ${totalUrls}`);
   console.log(
-    `OK URLs: ${okCount} (${((okCount / urls.length) * 100).toFixed(2)}%)`
+    `OK URLs: ${okCount} (${((okCount / totalUrls) * 100).toFixed(2)}%)`
   );
   console.log(
     `Soft 404 URLs: ${soft404Count} (${(
-      (soft404Count / urls.length) *
+      (soft404Count / totalUrls) *
       100
     ).toFixed(2)}%)`
   );
   console.log(
-    `Error URLs: ${errorCount} (${((errorCount / urls.length) * 100).toFixed(
+    `Error URLs: ${errorCount} (${((errorCount / totalUrls) * 100).toFixed(
       2
     )}%)`
   );
+  const networkErrorCounts = countNetworkErrors(results);
+  for (const [category, count] of Object.entries(networkErrorCounts)) {
+    console.log(`  ➤ ${category}: ${count}`);
+  }
+  const { ttfbValues, totalTimeValues, slowUrls } = getResponseTimeStats(results, SLOW_URL_THRESHOLD);
+  console.log(`TTFB p50 / p90 / p99 (ms): ${formatPercentiles(ttfbValues)}`);
+  console.log(`Total Time p50 / p90 / p99 (ms): ${formatPercentiles(totalTimeValues)}`);
+  console.log(`Slow URLs (over ${SLOW_URL_THRESHOLD} ms): ${slowUrls.length}`);
+  for (const result of slowUrls) {
+    console.log(`  ➤ ${result.url}: ${result.totalTime} ms (TTFB ${result.ttfb} ms)`);
+  }
+  console.log(`Sitemap Format: ${sitemapData.formatLabel}`);
+  console.log(
+    `Sitemap Size (compressed): ${formatBytes(sitemapBody.compressedSize)}`
+  );
+  console.log(
+    `Sitemap Size (uncompressed): ${formatBytes(sitemapBody.uncompressedSize)}`
+  );
   console.log(`Results saved to: ${filePath}\n`);
 
   return {
-    totalUrls: urls.length,
+    totalUrls,
     okCount,
     soft404Count,
     errorCount,
+    networkErrorCounts,
+    slowUrlCount: slowUrls.length,
   };
 }
 
+// Function to discover the sitemaps of a config entry that only declares an origin, from its robots.txt
+function discoverSiteSitemaps(origin) {
+  return discoverSitemaps(
+    origin,
+    requestSettings.applySiteSettings(origin, {
+      headers: {
+        'User-Agent': userAgentProfile.userAgent,
+      },
+      timeout: DISCOVERY_TIMEOUT,
+    })
+  );
+}
+
 // Main function
 async function main() {
   console.log('Starting Soft 404 Detection...');
-  console.log(`Checking ${sitemapUrls.length} sitemaps`);
+  const sitemapsToCheck = await resolveSitemapsToCheck(
+    sitemaps,
+    process.argv.slice(2),
+    discoverSiteSitemaps
+  );
+  console.log(`Checking ${sitemapsToCheck.length} sitemaps`);
 
   let totalUrls = 0;
   let totalOkCount = 0;
   let totalSoft404Count = 0;
   let totalErrorCount = 0;
+  const totalNetworkErrorCounts = {};
+  let totalSlowUrlCount = 0;
 
-  for (const sitemapUrl of sitemapUrls) {
-    const result = await processSitemap(sitemapUrl);
+  const visited = new Set();
+
+  for (const { url, stagingOrigin } of sitemapsToCheck) {
+    if (visited.has(url)) {
+      console.log(`Skipping ${url}: already processed in this run`);
+      continue;
+    }
+    const result = await processSitemap(url, stagingOrigin, { visited });
     if (result) {
       totalUrls += result.totalUrls;
       totalOkCount += result.okCount;
       totalSoft404Count += result.soft404Count;
       totalErrorCount += result.errorCount;
+      addNetworkErrorCounts(totalNetworkErrorCounts, result.networkErrorCounts);
+      totalSlowUrlCount += result.slowUrlCount;
     }
   }
 
@@ -614,6 +713,10 @@ async function main() {
         100
       ).toFixed(2)}%)`
     );
+    for (const [category, count] of Object.entries(totalNetworkErrorCounts)) {
+      console.log(`  ➤ ${category}: ${count}`);
+    }
+    console.log(`Slow URLs (over ${SLOW_URL_THRESHOLD} ms): ${totalSlowUrlCount}`);
   } else {
     console.log(
       'No URLs were checked. Please check your sitemap configuration.'
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCanonicalHref, parseCanonicalLinkHeader, extractCanonicals, analyzeCanonical } = require('../canonical');
+
+const PAGE = 'https://example.com/shoes?color=red';
+
+test('toCanonicalHref resolves relative canonicals and drops the fragment', () => {
+  assert.strictEqual(toCanonicalHref('/shoes#top', PAGE), 'https://example.com/shoes');
+  assert.strictEqual(toCanonicalHref('http://[bad', PAGE), null);
+});
+
+test('parseCanonicalLinkHeader keeps rel="canonical" links, commas in URLs included', () => {
+  const header =
+    '<https://example.com/a,b>; rel="canonical", <https://example.com/fr>; rel="alternate"; hreflang="fr", ' +
+    '<https://example.com/c>; rel=canonical';
+  assert.deepStrictEqual(parseCanonicalLinkHeader(header), ['https://example.com/a,b', 'https://example.com/c']);
+  assert.deepStrictEqual(parseCanonicalLinkHeader(undefined), []);
+});
+
+test('extractCanonicals reads the Link header and the HTML', () => {
+  const html = '<head><link rel="Canonical" href="/shoes"><link rel="alternate" href="/fr/shoes"></head>';
+  assert.deepStrictEqual(extractCanonicals(html, '</shoes>; rel="canonical"', PAGE), [
+    { href: 'https://example.com/shoes', source: 'HTTP header' },
+    { href: 'https://example.com/shoes', source: 'HTML' },
+  ]);
+});
+
+test('analyzeCanonical accepts self-referencing canonicals', () => {
+  const result = analyzeCanonical(PAGE, [{ href: PAGE, source: 'HTML' }], new Map(), new Set([PAGE]));
+  assert.deepStrictEqual(result, { canonicalUrl: PAGE, source: 'HTML', issues: [], redundant: false });
+});
+
+test('analyzeCanonical reports missing, invalid and conflicting canonicals', () => {
+  const analyze = (canonicals) => analyzeCanonical(PAGE, canonicals, new Map(), new Set()).issues;
+  assert.deepStrictEqual(analyze(null), ['Page could not be fetched']);
+  assert.deepStrictEqual(analyze([]), ['Missing canonical']);
+  assert.deepStrictEqual(analyze([{ href: null, source: 'HTML' }]), ['Invalid canonical URL']);
+  assert.deepStrictEqual(
+    analyze([
+      { href: 'https://example.com/a', source: 'HTTP header' },
+      { href: 'https://example.com/b', source: 'HTML' },
+    ]),
+    ['Multiple conflicting canonicals: https://example.com/a | https://example.com/b']
+  );
+});
+
+test('analyzeCanonical reports canonicals pointing to another URL', () => {
+  const target = 'https://example.com/shoes';
+  const canonicals = [{ href: target, source: 'HTML' }];
+
+  const inSitemap = analyzeCanonical(PAGE, canonicals, new Map([[target, { status: 200 }]]), new Set([PAGE, target]));
+  assert.deepStrictEqual(inSitemap, {
+    canonicalUrl: target,
+    source: 'HTML',
+    issues: ['Canonical points to another URL'],
+    redundant: true,
+    targetStatus: 200,
+  });
+
+  const redirected = analyzeCanonical(PAGE, canonicals, new Map([[target, { status: 308 }]]), new Set([PAGE]));
+  assert.deepStrictEqual(redirected.issues, [
+    'Canonical points to another URL',
+    'Canonical target redirects (308)',
+    'Canonical target missing from sitemap',
+  ]);
+
+  const failed = analyzeCanonical(PAGE, canonicals, new Map([[target, { status: '', errorCategory: 'Timeout' }]]), new Set([target]));
+  assert.deepStrictEqual(failed.issues, ['Canonical points to another URL', 'Canonical target not OK (Timeout)']);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractAlternates, getHreflangCodeError, analyzeHreflang } = require('../hreflang');
+
+test('getHreflangCodeError accepts languages, scripts, regions and x-default', () => {
+  for (const hreflang of ['en', 'en-GB', 'zh-Hant-TW', 'zh-Hans', 'x-default', 'X-Default']) {
+    assert.strictEqual(getHreflangCodeError(hreflang), '', hreflang);
+  }
+});
+
+test('getHreflangCodeError explains invalid codes', () => {
+  assert.strictEqual(getHreflangCodeError('en_GB'), 'Invalid hreflang format');
+  assert.strictEqual(getHreflangCodeError('english'), 'Invalid hreflang format');
+  assert.strictEqual(getHreflangCodeError('xx'), 'Unknown language code "xx"');
+  assert.strictEqual(getHreflangCodeError('en-UK'), 'Unknown region code "UK"');
+  assert.strictEqual(getHreflangCodeError('en-AA'), 'Unknown region code "AA"');
+  // Only ISO 3166-1 Alpha 2 regions are accepted, not UN M.49 areas
+  assert.strictEqual(getHreflangCodeError('es-419'), 'Unknown region code "419"');
+});
+
+test('extractAlternates reads rel="alternate" links with an hreflang', () => {
+  const urlNode = {
+    loc: ['https://example.com/en'],
+    'xhtml:link': [
+      { $: { rel: 'alternate', hreflang: ' en ', href: ' https://example.com/en ' } },
+      { $: { rel: 'canonical', href: 'https://example.com/en' } },
+    ],
+  };
+  assert.deepStrictEqual(extractAlternates(urlNode), [{ hreflang: 'en', href: 'https://example.com/en' }]);
+});
+
+test('analyzeHreflang accepts a complete cluster', () => {
+  const alternates = [
+    { hreflang: 'en', href: 'https://example.com/en' },
+    { hreflang: 'fr', href: 'https://example.com/fr' },
+    { hreflang: 'x-default', href: 'https://example.com/en' },
+  ];
+  const entries = [
+    { loc: 'https://example.com/en', alternates },
+    { loc: 'https://example.com/fr', alternates },
+  ];
+  assert.deepStrictEqual(analyzeHreflang(entries, new Map()), []);
+});
+
+test('analyzeHreflang reports broken clusters', () => {
+  const entries = [
+    {
+      loc: 'https://example.com/en',
+      alternates: [
+        { hreflang: 'en', href: 'https://example.com/en' },
+        { hreflang: 'fr', href: 'https://example.com/fr' },
+        { hreflang: 'de', href: 'https://example.com/de' },
+        { hreflang: 'en-UK', href: 'https://example.com/uk' },
+      ],
+    },
+    {
+      loc: 'https://example.com/fr',
+      alternates: [{ hreflang: 'fr', href: 'https://example.com/fr' }],
+    },
+  ];
+  const statusByUrl = new Map([['https://example.com/de', { status: 404 }]]);
+  const issues = analyzeHreflang(entries, statusByUrl)
+    .filter((finding) => finding.url === 'https://example.com/en')
+    .map((finding) => `${finding.hreflang}: ${finding.issue}`);
+  assert.deepStrictEqual(issues, [
+    ': Missing x-default',
+    'fr: Missing return link',
+    'de: Alternate URL not OK',
+    'de: Alternate URL not in sitemap (return link cannot be verified)',
+    'en-UK: Unknown region code "UK"',
+    'en-UK: Alternate URL not in sitemap (return link cannot be verified)',
+  ]);
+});
+
+test('analyzeHreflang reports duplicate languages and missing self references', () => {
+  const entries = [
+    {
+      loc: 'https://example.com/a',
+      alternates: [
+        { hreflang: 'en', href: 'https://example.com/b' },
+        { hreflang: 'EN', href: 'https://example.com/c' },
+        { hreflang: 'x-default', href: 'https://example.com/b' },
+      ],
+    },
+  ];
+  const sitemapUrls = new Set(['https://example.com/a', 'https://example.com/b', 'https://example.com/c']);
+  const issues = analyzeHreflang(entries, new Map(), sitemapUrls).map((finding) => `${finding.hreflang}: ${finding.issue}`);
+  assert.ok(issues.includes('en: Duplicate hreflang in cluster'));
+  assert.ok(issues.includes('EN: Duplicate hreflang in cluster'));
+  assert.ok(issues.includes(': Missing self-referencing alternate'));
+  // b and c are in the sitemap but declare no alternates of their own
+  assert.ok(issues.includes('en: Missing return link'));
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  NETWORK_ERROR_CATEGORY,
+  classifyNetworkError,
+  countNetworkErrors,
+  addNetworkErrorCounts,
+} = require('../network_errors');
+
+// Error with a code, as thrown by Node
+function errorWithCode(code, message = `${code} error`) {
+  return Object.assign(new Error(message), { code });
+}
+
+test('classifyNetworkError maps error codes to categories', () => {
+  const expected = {
+    ENOTFOUND: NETWORK_ERROR_CATEGORY.DNS,
+    EAI_AGAIN: NETWORK_ERROR_CATEGORY.DNS,
+    ECONNABORTED: NETWORK_ERROR_CATEGORY.TIMEOUT,
+    ECONNREFUSED: NETWORK_ERROR_CATEGORY.CONNECTION_REFUSED,
+    EPIPE: NETWORK_ERROR_CATEGORY.CONNECTION_RESET,
+    ENETUNREACH: NETWORK_ERROR_CATEGORY.HOST_UNREACHABLE,
+    CERT_HAS_EXPIRED: NETWORK_ERROR_CATEGORY.TLS,
+    ERR_TLS_CERT_ALTNAME_INVALID: NETWORK_ERROR_CATEGORY.TLS,
+    DEPTH_ZERO_SELF_SIGNED_CERT: NETWORK_ERROR_CATEGORY.TLS,
+    ERR_INVALID_URL: NETWORK_ERROR_CATEGORY.INVALID_URL,
+    EWHATEVER: NETWORK_ERROR_CATEGORY.OTHER,
+  };
+  for (const [code, category] of Object.entries(expected)) {
+    assert.strictEqual(classifyNetworkError(errorWithCode(code)).category, category, code);
+  }
+});
+
+test('classifyNetworkError reads the code of the cause and keeps the message', () => {
+  const error = new Error('fetch failed', { cause: errorWithCode('ECONNRESET') });
+  assert.deepStrictEqual(classifyNetworkError(error), {
+    category: NETWORK_ERROR_CATEGORY.CONNECTION_RESET,
+    code: 'ECONNRESET',
+    message: 'fetch failed',
+  });
+});
+
+test('classifyNetworkError recognises URLs axios rejects before connecting', () => {
+  assert.deepStrictEqual(classifyNetworkError(new Error('Unsupported protocol ftp:')), {
+    category: NETWORK_ERROR_CATEGORY.INVALID_URL,
+    code: 'UNKNOWN',
+    message: 'Unsupported protocol ftp:',
+  });
+});
+
+test('countNetworkErrors and addNetworkErrorCounts total the categories', () => {
+  const counts = countNetworkErrors([
+    { errorCategory: 'DNS Failure' },
+    { errorCategory: '' },
+    { status: 200 },
+    { errorCategory: 'DNS Failure' },
+    { errorCategory: 'Timeout' },
+  ]);
+  assert.deepStrictEqual(counts, { 'DNS Failure': 2, Timeout: 1 });
+  const total = { Timeout: 3 };
+  assert.strictEqual(addNetworkErrorCounts(total, counts), total);
+  assert.deepStrictEqual(total, { Timeout: 4, 'DNS Failure': 2 });
+  assert.deepStrictEqual(addNetworkErrorCounts(total, undefined), total);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRetryAfter, createHostRateLimiter } = require('../rate_limiter');
+
+test('parseRetryAfter reads delays in seconds and HTTP dates', () => {
+  const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+  assert.strictEqual(parseRetryAfter('120', now), 120000);
+  assert.strictEqual(parseRetryAfter(1.5, now), 1500);
+  assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now), 30000);
+  assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT', now), 0);
+  assert.strictEqual(parseRetryAfter(undefined, now), null);
+  assert.strictEqual(parseRetryAfter('soon', now), null);
+});
+
+test('acquire spaces the requests of a host to its rate', async () => {
+  const limiter = createHostRateLimiter({ requestsPerSecond: 20 });
+  const start = Date.now();
+  for (let i = 0; i < 4; i++) {
+    await limiter.acquire('https://example.com/page');
+  }
+  // Three gaps of 50 ms
+  assert.ok(Date.now() - start >= 140);
+
+  // Another host has its own budget
+  const otherStart = Date.now();
+  await limiter.acquire('https://other.example.com/');
+  assert.ok(Date.now() - otherStart < 40);
+  assert.deepStrictEqual(
+    limiter.getStats().map(({ host, requests }) => ({ host, requests })),
+    [
+      { host: 'example.com', requests: 4 },
+      { host: 'other.example.com', requests: 1 },
+    ]
+  );
+});
+
+test('recordResponse halves the rate on 429/503 and honours Retry-After', async () => {
+  const limiter = createHostRateLimiter({ requestsPerSecond: 8, minRequestsPerSecond: 1 });
+  await limiter.acquire('https://example.com/');
+  assert.strictEqual(limiter.recordResponse('https://example.com/a', 429, '0.1'), 100);
+  assert.strictEqual(limiter.recordResponse('https://example.com/b', 503, undefined), 4000);
+
+  const [stats] = limiter.getStats();
+  assert.strictEqual(stats.currentRate, 2);
+  assert.strictEqual(stats.count429, 1);
+  assert.strictEqual(stats.count503, 1);
+  // Keeps halving down to the minimum rate
+  limiter.recordResponse('https://example.com/c', 429, '0');
+  limiter.recordResponse('https://example.com/c', 429, '0');
+  assert.strictEqual(limiter.getStats()[0].currentRate, 1);
+});
+
+test('recordResponse doubles the backoff while the host keeps throttling', () => {
+  const limiter = createHostRateLimiter({ requestsPerSecond: 10, backoffDelay: 100, maxRetryAfter: 350 });
+  assert.deepStrictEqual(
+    [429, 429, 429, 429].map((status) => limiter.recordResponse('https://example.com/', status)),
+    [100, 200, 350, 350]
+  );
+  // A normal response ends the streak
+  assert.strictEqual(limiter.recordResponse('https://example.com/', 200), 0);
+  assert.strictEqual(limiter.recordResponse('https://example.com/', 429), 100);
+});
+
+test('recordResponse ramps the rate back up after successful responses', () => {
+  const limiter = createHostRateLimiter({ requestsPerSecond: 10, rampUpAfter: 2, rampUpStep: 0.5, backoffDelay: 0 });
+  limiter.recordResponse('https://example.com/', 429);
+  assert.strictEqual(limiter.getStats()[0].currentRate, 5);
+
+  // Server errors and network errors do not count as successes
+  limiter.recordResponse('https://example.com/', 500);
+  limiter.recordResponse('https://example.com/', 'ECONNRESET');
+  assert.strictEqual(limiter.getStats()[0].currentRate, 5);
+
+  limiter.recordResponse('https://example.com/', 200);
+  limiter.recordResponse('https://example.com/', 404);
+  assert.strictEqual(limiter.getStats()[0].currentRate, 10);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { REDIRECT_TYPE, isRedirectStatus, getRedirectType } = require('../redirects');
+
+test('isRedirectStatus accepts every redirect status, as numbers or CSV strings', () => {
+  for (const status of [301, 302, 303, 307, 308, '308']) {
+    assert.ok(isRedirectStatus(status), String(status));
+  }
+  for (const status of [200, 300, 304, 404, '', 'ECONNRESET']) {
+    assert.ok(!isRedirectStatus(status), String(status));
+  }
+});
+
+test('getRedirectType tells permanent from temporary redirects', () => {
+  assert.strictEqual(getRedirectType(301), REDIRECT_TYPE.PERMANENT);
+  assert.strictEqual(getRedirectType('308'), REDIRECT_TYPE.PERMANENT);
+  assert.strictEqual(getRedirectType(302), REDIRECT_TYPE.TEMPORARY);
+  assert.strictEqual(getRedirectType(303), REDIRECT_TYPE.TEMPORARY);
+  assert.strictEqual(getRedirectType(307), REDIRECT_TYPE.TEMPORARY);
+  assert.strictEqual(getRedirectType(200), '');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSiteHosts, formatCookies, createRequestSettings } = require('../request_settings');
+
+const SITES = [
+  { url: 'https://www.example.com/sitemap.xml', headers: { 'X-Team': 'seo' } },
+  {
+    origin: 'https://shop.example.org',
+    stagingOrigin: 'https://staging.example.org',
+    hosts: ['CDN.example.org'],
+    userAgent: 'CustomBot/1.0',
+    cookies: { session: 'abc', consent: 'yes' },
+    basicAuth: { usernameEnv: 'SHOP_USER', passwordEnv: 'SHOP_PASSWORD' },
+  },
+  { url: 'https://plain.example.net/sitemap.xml' },
+];
+
+test('getSiteHosts lists the hosts of url, origin, stagingOrigin and hosts', () => {
+  assert.deepStrictEqual(getSiteHosts(SITES[1]), ['cdn.example.org', 'shop.example.org', 'staging.example.org']);
+  assert.deepStrictEqual(getSiteHosts({ url: './dist/sitemap.xml' }), []);
+});
+
+test('formatCookies builds a Cookie header', () => {
+  assert.strictEqual(formatCookies({ a: '1', b: '2' }), 'a=1; b=2');
+  assert.strictEqual(formatCookies('a=1; b=2'), 'a=1; b=2');
+});
+
+test('getSiteSettings matches hosts and their subdomains only', () => {
+  const settings = createRequestSettings(SITES, { env: {} });
+  assert.strictEqual(settings.getSiteSettings('https://img.www.example.com/a.jpg'), SITES[0]);
+  assert.strictEqual(settings.getSiteSettings('https://cdn.example.org/a.jpg'), SITES[1]);
+  assert.strictEqual(settings.getSiteSettings('https://notexample.com/'), null);
+  // Entries without settings are ignored
+  assert.strictEqual(settings.getSiteSettings('https://plain.example.net/'), null);
+  assert.strictEqual(settings.getSiteSettings('not a url'), null);
+});
+
+test('applySiteSettings adds headers, user agent, cookies and basic auth', () => {
+  const settings = createRequestSettings(SITES, { env: { SHOP_USER: 'user', SHOP_PASSWORD: 'secret' } });
+  const options = { timeout: 1000, headers: { 'User-Agent': 'Default', Accept: 'text/html' } };
+  assert.deepStrictEqual(settings.applySiteSettings('https://shop.example.org/page', options), {
+    timeout: 1000,
+    headers: { 'User-Agent': 'CustomBot/1.0', Accept: 'text/html', Cookie: 'session=abc; consent=yes' },
+    auth: { username: 'user', password: 'secret' },
+  });
+  // The options passed in are left untouched
+  assert.strictEqual(options.headers['User-Agent'], 'Default');
+
+  assert.deepStrictEqual(settings.applySiteSettings('https://www.example.com/', {}), { headers: { 'X-Team': 'seo' } });
+  const unrelated = { timeout: 1000 };
+  assert.strictEqual(settings.applySiteSettings('https://other.example.com/', unrelated), unrelated);
+});
+
+test('applySiteSettings skips basic auth when its environment variables are missing', () => {
+  const settings = createRequestSettings(SITES, { env: { SHOP_USER: 'user' } });
+  const options = settings.applySiteSettings('https://shop.example.org/', {});
+  assert.strictEqual(options.auth, undefined);
+  assert.strictEqual(options.headers['User-Agent'], 'CustomBot/1.0');
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { timedRequest, getPercentile, formatPercentiles, getResponseTimeStats } = require('../response_timing');
+
+const BODY = 'x'.repeat(1000);
+
+// Starts a local HTTP server on a free port and returns its base URL
+async function startServer(t, handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Measured timing in milliseconds and bytes, size included
+function assertTiming(timing, size) {
+  assert.strictEqual(typeof timing.ttfb, 'number');
+  assert.ok(timing.totalTime >= timing.ttfb);
+  assert.strictEqual(timing.size, size);
+}
+
+test('timedRequest measures time to first byte, total time and size', async (t) => {
+  const baseUrl = await startServer(t, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.write(BODY.slice(0, 500));
+    setTimeout(() => res.end(BODY.slice(500)), 50);
+  });
+
+  const response = await timedRequest('get', `${baseUrl}/page`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.data, BODY);
+  assertTiming(response.timing, 1000);
+  assert.ok(response.timing.totalTime - response.timing.ttfb >= 40);
+
+  const buffer = await timedRequest('get', `${baseUrl}/page`, { responseType: 'arraybuffer' });
+  assert.ok(Buffer.isBuffer(buffer.data));
+  assert.strictEqual(buffer.data.length, 1000);
+});
+
+test('timedRequest reports no size for HEAD requests', async (t) => {
+  const baseUrl = await startServer(t, (req, res) => {
+    res.writeHead(200, { 'Content-Length': 1000 });
+    res.end();
+  });
+  const response = await timedRequest('head', baseUrl);
+  assertTiming(response.timing, '');
+});
+
+test('timedRequest attaches timing and body to HTTP errors', async (t) => {
+  const baseUrl = await startServer(t, (req, res) => {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<h1>Not found</h1>');
+  });
+  const error = await timedRequest('get', baseUrl).then(
+    () => assert.fail('expected an HTTP error'),
+    (rejection) => rejection
+  );
+  assert.strictEqual(error.response.status, 404);
+  assert.strictEqual(error.response.data, '<h1>Not found</h1>');
+  assertTiming(error.timing, 18);
+});
+
+test('timedRequest attaches timing to network errors', async () => {
+  // Free a port so the request is refused
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+
+  const error = await timedRequest('get', `http://127.0.0.1:${port}`).then(
+    () => assert.fail('expected a network error'),
+    (rejection) => rejection
+  );
+  assert.strictEqual(error.code, 'ECONNREFUSED');
+  assert.strictEqual(error.timing.ttfb, '');
+  assert.strictEqual(error.timing.size, '');
+  assert.strictEqual(typeof error.timing.totalTime, 'number');
+});
+
+test('timedRequest attaches timing when the body fails after the headers', async (t) => {
+  const baseUrl = await startServer(t, (req, res) => {
+    res.writeHead(200, { 'Content-Length': 1000 });
+    res.write(BODY.slice(0, 100));
+    setTimeout(() => res.destroy(), 20);
+  });
+  const error = await timedRequest('get', baseUrl).then(
+    () => assert.fail('expected the body to fail'),
+    (rejection) => rejection
+  );
+  assert.strictEqual(typeof error.timing.ttfb, 'number');
+  assert.ok(error.timing.totalTime >= error.timing.ttfb);
+  assert.strictEqual(error.timing.size, '');
+});
+
+test('getPercentile uses the nearest rank and ignores missing values', () => {
+  const values = [50, '', 10, 40, 20, 30];
+  assert.strictEqual(getPercentile(values, 50), 30);
+  assert.strictEqual(getPercentile(values, 90), 50);
+  assert.strictEqual(getPercentile(values, 0), 10);
+  assert.strictEqual(getPercentile([], 50), '');
+});
+
+test('formatPercentiles formats p50 / p90 / p99', () => {
+  assert.strictEqual(formatPercentiles([100, 200, 300]), '200 / 300 / 300');
+  assert.strictEqual(formatPercentiles(['', '']), 'n/a');
+});
+
+test('getResponseTimeStats lists slow URLs, slowest first', () => {
+  const results = [
+    { url: 'a', ttfb: 100, totalTime: 2500 },
+    { url: 'b', ttfb: '', totalTime: '' },
+    { url: 'c', ttfb: 300, totalTime: 4000 },
+    { url: 'd', ttfb: 50, totalTime: 2000 },
+  ];
+  const stats = getResponseTimeStats(results, 2000);
+  assert.deepStrictEqual(stats.ttfbValues, [100, '', 300, 50]);
+  assert.deepStrictEqual(stats.slowUrls.map((result) => result.url), ['c', 'a']);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitDirectives, readDirective, getRobotsDirectives } = require('../robots_directives');
+
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+
+test('splitDirectives applies "botname:" prefixes to the directives that follow', () => {
+  assert.deepStrictEqual(splitDirectives('noarchive, googlebot: noindex, nofollow', true), [
+    { userAgent: null, directive: 'noarchive' },
+    { userAgent: 'googlebot', directive: 'noindex' },
+    { userAgent: 'googlebot', directive: 'nofollow' },
+  ]);
+});
+
+test('splitDirectives keeps known "name: value" directives for all crawlers', () => {
+  assert.deepStrictEqual(splitDirectives('max-snippet: 20, noindex', true), [
+    { userAgent: null, directive: 'max-snippet: 20' },
+    { userAgent: null, directive: 'noindex' },
+  ]);
+});
+
+test('splitDirectives keeps the comma of unavailable_after dates', () => {
+  assert.deepStrictEqual(splitDirectives('unavailable_after: Wednesday, 03-Nov-2021 15:00:00 GMT, nofollow', true), [
+    { userAgent: null, directive: 'unavailable_after: Wednesday, 03-Nov-2021 15:00:00 GMT' },
+    { userAgent: null, directive: 'nofollow' },
+  ]);
+});
+
+test('splitDirectives does not read user agents in meta content', () => {
+  assert.deepStrictEqual(splitDirectives('googlebot: noindex', false), [
+    { userAgent: null, directive: 'googlebot: noindex' },
+  ]);
+});
+
+test('readDirective reads none and expired unavailable_after as noindex', () => {
+  assert.deepStrictEqual(readDirective('none', NOW), { noIndex: true, noFollow: true, reason: 'none' });
+  assert.deepStrictEqual(readDirective('unavailable_after: 2024-01-01', NOW), {
+    noIndex: true,
+    noFollow: false,
+    reason: 'unavailable_after 2024-01-01T00:00:00.000Z',
+  });
+  assert.strictEqual(readDirective('unavailable_after: 2025-01-01', NOW).noIndex, false);
+  assert.strictEqual(readDirective('max-snippet: 20', NOW).noIndex, false);
+});
+
+test('getRobotsDirectives merges headers and meta tags for the crawler only', () => {
+  const result = getRobotsDirectives({
+    html: '<html><head><meta name="robots" content="nofollow"><meta name="bingbot" content="noindex"></head></html>',
+    xRobotsTag: ['bingbot: noindex', 'googlebot: noindex'],
+    crawler: 'googlebot',
+    now: NOW,
+  });
+  assert.deepStrictEqual(result, {
+    noIndex: true,
+    noFollow: true,
+    noIndexSources: ['X-Robots-Tag (googlebot)'],
+    noFollowSources: ['meta robots'],
+  });
+});
+
+test('getRobotsDirectives ignores directives aimed at other crawlers', () => {
+  const result = getRobotsDirectives({ xRobotsTag: 'otherbot: noindex, nofollow', now: NOW });
+  assert.strictEqual(result.noIndex, false);
+  assert.strictEqual(result.noFollow, false);
+});
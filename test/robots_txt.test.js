@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {
+  fetchRobotsTxt,
+  parseSitemapDirectives,
+  discoverSitemaps,
+  parseRobotsGroups,
+  getRulesForUserAgent,
+  matchesRobotsPattern,
+  evaluateRobotsRules,
+  createRobotsChecker,
+} = require('../robots_txt');
+
+const ROBOTS_TXT = `
+User-agent: *
+Disallow: /search
+# Sitemap: /commented.xml
+Sitemap: /sitemap.xml
+sitemap : https://cdn.example.com/sitemap-2.xml
+Sitemap: /sitemap.xml
+`;
+
+const GROUPS_TXT = `
+User-agent: Googlebot
+User-agent: Bingbot
+Disallow: /private/
+Allow: /private/public-page
+
+User-agent: Googlebot-Image
+Disallow: /
+
+User-agent: *
+Disallow: /*.pdf$
+Disallow: /search
+`;
+
+// Starts a local HTTP server on a free port and returns its origin
+async function startServer(t, handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('parseSitemapDirectives resolves relative URLs, skips comments and duplicates', () => {
+  assert.deepStrictEqual(parseSitemapDirectives(ROBOTS_TXT, 'https://example.com'), [
+    'https://example.com/sitemap.xml',
+    'https://cdn.example.com/sitemap-2.xml',
+  ]);
+});
+
+test('discoverSitemaps reads the Sitemap directives of robots.txt', async (t) => {
+  const origin = await startServer(t, (req, res) => {
+    res.writeHead(req.url === '/robots.txt' ? 200 : 404, { 'Content-Type': 'text/plain' });
+    res.end('User-agent: *\nSitemap: /news-sitemap.xml\n');
+  });
+  assert.deepStrictEqual(await discoverSitemaps(origin), [
+    { url: `${origin}/news-sitemap.xml`, source: `${origin}/robots.txt` },
+  ]);
+});
+
+test('discoverSitemaps falls back to the usual locations', async (t) => {
+  const origin = await startServer(t, (req, res) => {
+    res.writeHead(req.url === '/sitemap_index.xml' ? 200 : 404);
+    res.end('<sitemapindex/>');
+  });
+  assert.deepStrictEqual(await discoverSitemaps(origin), [
+    { url: `${origin}/sitemap_index.xml`, source: 'fallback /sitemap_index.xml' },
+  ]);
+});
+
+test('discoverSitemaps sends the request options', async (t) => {
+  const origin = await startServer(t, (req, res) => {
+    const allowed = req.headers['x-token'] === 'secret';
+    res.writeHead(allowed && req.url === '/sitemap.xml' ? 200 : 403);
+    res.end();
+  });
+  assert.deepStrictEqual(await discoverSitemaps(origin), []);
+  assert.deepStrictEqual(await discoverSitemaps(origin, { headers: { 'x-token': 'secret' } }), [
+    { url: `${origin}/sitemap.xml`, source: 'fallback /sitemap.xml' },
+  ]);
+});
+
+test('discoverSitemaps waits for the rate limiter before each request', async (t) => {
+  const origin = await startServer(t, (req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+  const acquired = [];
+  const rateLimiter = { acquire: async (url) => acquired.push(url) };
+  assert.deepStrictEqual(await discoverSitemaps(origin, {}, rateLimiter), []);
+  assert.deepStrictEqual(acquired, [`${origin}/robots.txt`, `${origin}/sitemap.xml`, `${origin}/sitemap_index.xml`]);
+});
+
+test('parseRobotsGroups shares rules between consecutive User-agent lines', () => {
+  const groups = parseRobotsGroups(GROUPS_TXT);
+  assert.strictEqual(groups.length, 3);
+  assert.deepStrictEqual(groups[0].userAgents, ['googlebot', 'bingbot']);
+  assert.deepStrictEqual(groups[0].rules, [
+    { type: 'disallow', path: '/private/' },
+    { type: 'allow', path: '/private/public-page' },
+  ]);
+});
+
+test('getRulesForUserAgent picks the most specific matching user agent', () => {
+  const groups = parseRobotsGroups(GROUPS_TXT);
+  assert.deepStrictEqual(getRulesForUserAgent(groups, 'Googlebot-Image/1.0'), [{ type: 'disallow', path: '/' }]);
+  assert.strictEqual(getRulesForUserAgent(groups, 'Googlebot').length, 2);
+  assert.deepStrictEqual(
+    getRulesForUserAgent(groups, 'DuckDuckBot').map((rule) => rule.path),
+    ['/*.pdf$', '/search']
+  );
+});
+
+test('matchesRobotsPattern supports wildcards and end anchors', () => {
+  assert.ok(matchesRobotsPattern('/private/', '/private/page'));
+  assert.ok(!matchesRobotsPattern('/private/', '/other/private/'));
+  assert.ok(matchesRobotsPattern('/*.pdf$', '/docs/file.pdf'));
+  assert.ok(!matchesRobotsPattern('/*.pdf$', '/docs/file.pdf?download=1'));
+  assert.ok(matchesRobotsPattern('/search', '/search?q=shoes'));
+  assert.ok(matchesRobotsPattern('/a.b', '/a.b'));
+  assert.ok(!matchesRobotsPattern('/a.b', '/axb'));
+});
+
+test('evaluateRobotsRules lets the longest pattern win and Allow win ties', () => {
+  const rules = getRulesForUserAgent(parseRobotsGroups(GROUPS_TXT), 'Googlebot');
+  assert.deepStrictEqual(evaluateRobotsRules(rules, 'https://example.com/private/secret'), {
+    blocked: true,
+    rule: 'Disallow: /private/',
+  });
+  assert.deepStrictEqual(evaluateRobotsRules(rules, 'https://example.com/private/public-page'), {
+    blocked: false,
+    rule: 'Allow: /private/public-page',
+  });
+  assert.deepStrictEqual(evaluateRobotsRules(rules, 'https://example.com/'), { blocked: false, rule: '' });
+
+  const tie = [
+    { type: 'disallow', path: '/page' },
+    { type: 'allow', path: '/page' },
+  ];
+  assert.strictEqual(evaluateRobotsRules(tie, 'https://example.com/page').blocked, false);
+});
+
+test('evaluateRobotsRules ignores empty Disallow and never blocks robots.txt', () => {
+  assert.strictEqual(evaluateRobotsRules([{ type: 'disallow', path: '' }], 'https://example.com/a').blocked, false);
+  assert.strictEqual(evaluateRobotsRules([{ type: 'disallow', path: '/' }], 'https://example.com/robots.txt').blocked, false);
+});
+
+test('fetchRobotsTxt allows all on 4xx and makes robots.txt unavailable on 5xx', async (t) => {
+  let status = 200;
+  const origin = await startServer(t, (req, res) => {
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end('User-agent: *\nDisallow: /private/\n');
+  });
+
+  const found = await fetchRobotsTxt(origin);
+  assert.strictEqual(found.unavailable, false);
+  assert.match(found.content, /Disallow: \/private\//);
+
+  status = 404;
+  assert.deepStrictEqual(await fetchRobotsTxt(origin), { content: null, unavailable: false, reason: 'HTTP 404' });
+
+  status = 503;
+  assert.deepStrictEqual(await fetchRobotsTxt(origin), { content: null, unavailable: true, reason: 'HTTP 503' });
+
+  status = 429;
+  assert.strictEqual((await fetchRobotsTxt(origin)).unavailable, true);
+});
+
+test('fetchRobotsTxt makes robots.txt unavailable on network errors', async () => {
+  // Free a port so the request is refused
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+
+  const result = await fetchRobotsTxt(`http://127.0.0.1:${port}`);
+  assert.strictEqual(result.content, null);
+  assert.strictEqual(result.unavailable, true);
+  assert.strictEqual(result.reason, 'ECONNREFUSED');
+});
+
+test('createRobotsChecker blocks every URL of a host whose robots.txt is unavailable', async (t) => {
+  let requests = 0;
+  const origin = await startServer(t, (req, res) => {
+    requests++;
+    res.writeHead(503);
+    res.end();
+  });
+
+  const checker = createRobotsChecker('Googlebot');
+  const [page, robots] = await Promise.all([
+    checker.check(`${origin}/page`),
+    checker.check(`${origin}/robots.txt`),
+  ]);
+  assert.deepStrictEqual(page, { blocked: true, rule: 'robots.txt unavailable (HTTP 503)' });
+  assert.strictEqual(robots.blocked, false);
+  assert.strictEqual(requests, 1);
+});
+
+test('createRobotsChecker waits for the rate limiter before fetching robots.txt', async (t) => {
+  const origin = await startServer(t, (req, res) => {
+    res.writeHead(200);
+    res.end('User-agent: *\nDisallow: /private');
+  });
+  const acquired = [];
+  const checker = createRobotsChecker('Googlebot', {}, { acquire: async (url) => acquired.push(url) });
+  assert.strictEqual((await checker.check(`${origin}/private/a`)).blocked, true);
+  assert.strictEqual((await checker.check(`${origin}/public`)).blocked, false);
+  assert.deepStrictEqual(acquired, [`${origin}/robots.txt`]);
+});
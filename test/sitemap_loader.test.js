@@ -0,0 +1,282 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pathToFileURL } = require('url');
+const { Readable } = require('stream');
+const {
+  isGzipped,
+  decodeSitemapBody,
+  decodeSitemapStream,
+  loadSitemap,
+  formatBytes,
+  toSitemapUrl,
+  isLocalSitemap,
+  openLocalSitemap,
+  resolveChildSitemapUrl,
+  rewriteUrlOrigin,
+  parseSitemapArgs,
+  resolveSitemapsToCheck,
+} = require('../sitemap_loader');
+
+const SITEMAP = '<?xml version="1.0"?><urlset><url><loc>https://example.com/</loc></url></urlset>';
+
+test('isGzipped detects gzip from the magic bytes, the Content-Type or the extension', () => {
+  const gzipped = zlib.gzipSync(SITEMAP);
+  assert.ok(isGzipped('https://example.com/sitemap.xml', '', gzipped));
+  assert.ok(isGzipped('https://example.com/sitemap.xml', 'application/x-gzip; charset=binary', Buffer.from(SITEMAP)));
+  assert.ok(isGzipped('https://example.com/sitemap.xml.GZ?v=2', 'text/xml', Buffer.from(SITEMAP)));
+  assert.ok(!isGzipped('https://example.com/sitemap.xml', 'text/xml', Buffer.from(SITEMAP)));
+});
+
+test('decodeSitemapBody gunzips gzip payloads and reports both sizes', () => {
+  const gzipped = zlib.gzipSync(SITEMAP);
+  assert.deepStrictEqual(decodeSitemapBody('https://example.com/sitemap.xml.gz', gzipped, ''), {
+    content: SITEMAP,
+    gzipped: true,
+    compressedSize: gzipped.length,
+    uncompressedSize: Buffer.byteLength(SITEMAP),
+  });
+});
+
+test('decodeSitemapBody keeps .gz payloads already decompressed through Content-Encoding', () => {
+  const body = decodeSitemapBody('https://example.com/sitemap.xml.gz', Buffer.from(SITEMAP), 'application/gzip');
+  assert.strictEqual(body.content, SITEMAP);
+  assert.strictEqual(body.gzipped, false);
+});
+
+test('decodeSitemapBody accepts ArrayBuffers', () => {
+  const { buffer, byteOffset, byteLength } = zlib.gzipSync(SITEMAP);
+  const arrayBuffer = buffer.slice(byteOffset, byteOffset + byteLength);
+  assert.strictEqual(decodeSitemapBody('https://example.com/s.xml.gz', arrayBuffer, '').content, SITEMAP);
+});
+
+test('formatBytes picks the unit', () => {
+  assert.strictEqual(formatBytes(512), '512 bytes');
+  assert.strictEqual(formatBytes(1536), '1.50 KB (1536 bytes)');
+  assert.strictEqual(formatBytes(1310720), '1.25 MB (1310720 bytes)');
+});
+
+// Urlset of `count` URLs, https://example.com/0 to https://example.com/<count - 1>
+function buildUrlset(count) {
+  const entries = Array.from({ length: count }, (value, i) => `<url><loc>https://example.com/${i}</loc></url>`);
+  return `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries.join('')}</urlset>`;
+}
+
+// Readable stream that emits a payload in chunks of `size` bytes
+function toChunkedStream(payload, size) {
+  const chunks = [];
+  for (let i = 0; i < payload.length; i += size) {
+    chunks.push(payload.subarray(i, i + size));
+  }
+  return Readable.from(chunks);
+}
+
+// Reads a stream to the end
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+test('decodeSitemapStream gunzips on the fly and counts both sizes', async () => {
+  const xml = buildUrlset(50);
+  const gzipped = zlib.gzipSync(xml);
+  const body = decodeSitemapStream('https://example.com/sitemap.xml.gz', toChunkedStream(gzipped, 64), '');
+  assert.strictEqual(await readAll(body.content), xml);
+  assert.strictEqual(body.gzipped, true);
+  assert.strictEqual(body.compressedSize, gzipped.length);
+  assert.strictEqual(body.uncompressedSize, Buffer.byteLength(xml));
+
+  const plain = decodeSitemapStream('https://example.com/sitemap.xml', toChunkedStream(Buffer.from(xml), 64), 'text/xml');
+  assert.strictEqual(await readAll(plain.content), xml);
+  assert.strictEqual(plain.gzipped, false);
+});
+
+test('decodeSitemapStream fails on corrupt gzip data', async () => {
+  const corrupt = Buffer.concat([zlib.gzipSync(buildUrlset(5)).subarray(0, 20), Buffer.from('garbage')]);
+  const body = decodeSitemapStream('https://example.com/sitemap.xml.gz', toChunkedStream(corrupt, 8), '');
+  await assert.rejects(readAll(body.content));
+});
+
+test('loadSitemap parses streamed XML split anywhere, multi-byte characters included', async () => {
+  const xml = Buffer.from(
+    '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+      '<url><loc> https://example.com/caf%C3%A9 </loc><lastmod>2024-01-01</lastmod></url>' +
+      '<url><loc><![CDATA[https://example.com/é]]></loc></url></urlset>'
+  );
+  const entries = [];
+  const sitemap = await loadSitemap(toChunkedStream(xml, 3), {
+    onEntry: (loc, node) => {
+      entries.push({ loc, node });
+    },
+  });
+  assert.strictEqual(sitemap.type, 'sitemap');
+  assert.strictEqual(sitemap.namespace, 'http://www.sitemaps.org/schemas/sitemap/0.9');
+  assert.deepStrictEqual(
+    entries.map((entry) => entry.loc),
+    ['https://example.com/caf%C3%A9', 'https://example.com/é']
+  );
+  // Entries keep the xml2js shape the extractors expect
+  assert.deepStrictEqual(entries[0].node.lastmod, ['2024-01-01']);
+  // URLs handed to onEntry are counted, not kept
+  assert.deepStrictEqual(sitemap.urls, []);
+  assert.strictEqual(sitemap.urlCount, 2);
+});
+
+test('loadSitemap lists the children of a sitemap index without calling onEntry', async () => {
+  const xml =
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+    '<sitemap><loc>https://example.com/a.xml</loc></sitemap><sitemap><loc>https://example.com/b.xml</loc></sitemap>' +
+    '</sitemapindex>';
+  let entryCount = 0;
+  const sitemap = await loadSitemap(xml, { onEntry: () => entryCount++ });
+  assert.strictEqual(sitemap.type, 'index');
+  assert.deepStrictEqual(sitemap.urls, ['https://example.com/a.xml', 'https://example.com/b.xml']);
+  assert.strictEqual(entryCount, 0);
+});
+
+test('loadSitemap stops reading while the promises returned by onEntry are pending', async () => {
+  let chunksRead = 0;
+  async function* source() {
+    for (let i = 0; i < 20; i++) {
+      chunksRead++;
+      yield i === 0 ? '<urlset>' : `<url><loc>https://example.com/${i}</loc></url>`;
+    }
+    yield '</urlset>';
+  }
+
+  let release;
+  const blocked = new Promise((resolve) => (release = resolve));
+  const seen = [];
+  const loading = loadSitemap(source(), {
+    onEntry: (loc) => {
+      seen.push(loc);
+      return seen.length === 1 ? blocked : null;
+    },
+  });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.strictEqual(chunksRead, 2);
+  assert.strictEqual(seen.length, 1);
+
+  release();
+  await loading;
+  assert.strictEqual(seen.length, 19);
+});
+
+test('loadSitemap keeps entries with a raw "&" and reports it', async () => {
+  const xml =
+    '<urlset><url><loc>https://example.com/?a=1&b=2</loc></url>' +
+    '<url><loc>https://example.com/a&amp;b</loc><news:title>Tom & Jerry</news:title></url>' +
+    '<url><loc>https://example.com/c</loc></url></urlset>';
+  const entries = [];
+  const sitemap = await loadSitemap(toChunkedStream(Buffer.from(xml), 7), { onEntry: (loc) => entries.push(loc) });
+  assert.deepStrictEqual(entries, ['https://example.com/?a=1&b=2', 'https://example.com/a&b', 'https://example.com/c']);
+  assert.deepStrictEqual(sitemap.entityErrors, [
+    { loc: 'https://example.com/?a=1&b=2', element: 'loc', message: 'Invalid character in entity name' },
+    { loc: 'https://example.com/a&b', element: 'news:title', message: 'Invalid character in entity name' },
+  ]);
+});
+
+test('loadSitemap rejects invalid XML and unknown roots', async () => {
+  await assert.rejects(loadSitemap('<urlset><url><loc>https://example.com/</url></urlset>'), /Error parsing XML/);
+  await assert.rejects(loadSitemap('<html><body></body></html>'), /Neither sitemap index nor sitemap detected/);
+  await assert.rejects(loadSitemap('<urlset></urlset>'), /Could not extract URLs/);
+});
+
+test('loadSitemap reads RSS items from <link>, or from a permalink <guid>', async () => {
+  const rss = `<rss version="2.0"><channel><link>https://example.com/</link>
+    <item><link>https://example.com/post-1</link></item>
+    <item><guid>https://example.com/post-2</guid></item>
+    <item><guid isPermaLink="false">https://example.com/not-a-link</guid></item>
+  </channel></rss>`;
+  const sitemap = await loadSitemap(rss);
+  assert.strictEqual(sitemap.format, 'rss');
+  assert.strictEqual(sitemap.formatLabel, 'RSS 2.0 feed');
+  assert.deepStrictEqual(sitemap.urls, ['https://example.com/post-1', 'https://example.com/post-2']);
+});
+
+test('loadSitemap reads Atom entries from their alternate link', async () => {
+  const atom = `<feed xmlns="http://www.w3.org/2005/Atom"><link rel="self" href="https://example.com/feed"/>
+    <entry><link rel="edit" href="https://example.com/edit/1"/><link href="https://example.com/entry-1"/></entry>
+    <entry><link rel="alternate" href="https://example.com/entry-2"/></entry>
+  </feed>`;
+  const sitemap = await loadSitemap(atom);
+  assert.strictEqual(sitemap.format, 'atom');
+  assert.deepStrictEqual(sitemap.urls, ['https://example.com/entry-1', 'https://example.com/entry-2']);
+});
+
+test('loadSitemap reads plain-text sitemaps, one URL per line', async () => {
+  const text = Buffer.from('\uFEFFhttps://example.com/a\r\n\n# comment\nhttps://example.com/b trailing\nftp://example.com/c\nhttps://example.com/d');
+  const sitemap = await loadSitemap(toChunkedStream(text, 5));
+  assert.strictEqual(sitemap.format, 'text');
+  assert.deepStrictEqual(sitemap.urls, ['https://example.com/a', 'https://example.com/b', 'https://example.com/d']);
+});
+
+test('toSitemapUrl turns local paths into file:// URLs', () => {
+  assert.strictEqual(toSitemapUrl('https://example.com/sitemap.xml'), 'https://example.com/sitemap.xml');
+  assert.strictEqual(toSitemapUrl('file:///tmp/sitemap.xml'), 'file:///tmp/sitemap.xml');
+  assert.strictEqual(toSitemapUrl('dist/sitemap.xml'), pathToFileURL(path.resolve('dist/sitemap.xml')).href);
+  assert.ok(isLocalSitemap(toSitemapUrl('dist/sitemap.xml')));
+  assert.ok(!isLocalSitemap('https://example.com/sitemap.xml'));
+});
+
+test('openLocalSitemap streams a gzipped local file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-loader-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'sitemap.xml.gz');
+  fs.writeFileSync(filePath, zlib.gzipSync(buildUrlset(3)));
+
+  const sitemapUrl = toSitemapUrl(filePath);
+  const body = decodeSitemapStream(sitemapUrl, await openLocalSitemap(sitemapUrl), '');
+  const sitemap = await loadSitemap(body.content);
+  assert.deepStrictEqual(sitemap.urls, ['https://example.com/0', 'https://example.com/1', 'https://example.com/2']);
+  assert.strictEqual(body.gzipped, true);
+
+  await assert.rejects(openLocalSitemap(toSitemapUrl(path.join(dir, 'missing.xml'))), { code: 'ENOENT' });
+  await assert.rejects(openLocalSitemap(toSitemapUrl(dir)), /is not a file/);
+});
+
+test('resolveChildSitemapUrl resolves the children of local indexes from the index directory', () => {
+  const indexUrl = 'file:///srv/dist/sitemap_index.xml';
+  assert.strictEqual(resolveChildSitemapUrl('sitemap-1.xml', indexUrl), 'file:///srv/dist/sitemap-1.xml');
+  assert.strictEqual(resolveChildSitemapUrl('/sitemap-2.xml', indexUrl), 'file:///srv/dist/sitemap-2.xml');
+  assert.strictEqual(resolveChildSitemapUrl('https://example.com/s.xml', indexUrl), 'https://example.com/s.xml');
+  assert.strictEqual(resolveChildSitemapUrl('/s.xml', 'https://example.com/index.xml'), '/s.xml');
+});
+
+test('rewriteUrlOrigin moves http(s) URLs to another origin', () => {
+  const staging = 'http://staging.example.com:8080';
+  assert.strictEqual(rewriteUrlOrigin('https://www.example.com/a?b=1#c', staging), 'http://staging.example.com:8080/a?b=1#c');
+  assert.strictEqual(rewriteUrlOrigin('https://cdn.example.com/a', staging, 'https://www.example.com'), 'https://cdn.example.com/a');
+  assert.strictEqual(rewriteUrlOrigin('mailto:a@example.com', staging), 'mailto:a@example.com');
+  assert.strictEqual(rewriteUrlOrigin('not a url', staging), 'not a url');
+});
+
+test('resolveSitemapsToCheck prefers command-line sitemaps over the config', async () => {
+  const sitemaps = [
+    { url: 'https://example.com/sitemap.xml', stagingOrigin: 'https://staging.example.com/path' },
+    { origin: 'https://other.example.com' },
+  ];
+  // Discovery stub standing in for robots_txt.js discoverSitemaps
+  const discover = async (origin) => [{ url: `${origin}/sitemap_index.xml`, source: `${origin}/robots.txt` }];
+  assert.deepStrictEqual(await resolveSitemapsToCheck(sitemaps, [], discover), [
+    { url: 'https://example.com/sitemap.xml', source: 'sitemapconfig.js', stagingOrigin: 'https://staging.example.com' },
+    { url: 'https://other.example.com/sitemap_index.xml', source: 'https://other.example.com/robots.txt', stagingOrigin: null },
+  ]);
+  assert.deepStrictEqual(await resolveSitemapsToCheck(sitemaps, ['--staging-origin=http://localhost:3000/'], discover), [
+    { url: 'https://example.com/sitemap.xml', source: 'sitemapconfig.js', stagingOrigin: 'http://localhost:3000' },
+    { url: 'https://other.example.com/sitemap_index.xml', source: 'https://other.example.com/robots.txt', stagingOrigin: 'http://localhost:3000' },
+  ]);
+  assert.deepStrictEqual(await resolveSitemapsToCheck(sitemaps, ['https://example.com/news.xml', '--other-flag'], discover), [
+    { url: 'https://example.com/news.xml', source: 'command line', stagingOrigin: null },
+  ]);
+  assert.deepStrictEqual(parseSitemapArgs(['/tmp/sitemap.xml']), {
+    sitemapUrls: ['file:///tmp/sitemap.xml'],
+    stagingOrigin: null,
+  });
+});
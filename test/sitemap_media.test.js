@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractMedia, validateMedia, getMediaAssetUrls } = require('../sitemap_media');
+
+const PAGE = 'https://example.com/page';
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+// Issues found for a page, as "field: issue"
+function issuesOf(media) {
+  return validateMedia(PAGE, { images: [], videos: [], news: [], ...media }, NOW).map(
+    (issue) => `${issue.field}: ${issue.issue}`
+  );
+}
+
+const VIDEO = {
+  thumbnailLoc: 'https://example.com/thumb.jpg',
+  title: 'Title',
+  description: 'Description',
+  contentLoc: 'https://example.com/video.mp4',
+  playerLoc: '',
+  duration: '600',
+  rating: '4.5',
+  expirationDate: '',
+};
+
+test('extractMedia reads the extensions whatever their namespace prefix', () => {
+  const urlNode = {
+    loc: [PAGE],
+    'img:image': [{ 'img:loc': [' https://example.com/a.jpg '], 'img:caption': ['Caption'] }],
+    'video:video': [{ 'video:title': ['Title'], 'video:duration': ['60'] }],
+    'news:news': [
+      {
+        'news:publication': [{ 'news:name': ['Daily'], 'news:language': ['en'] }],
+        'news:publication_date': ['2024-05-31'],
+        'news:title': ['Headline'],
+      },
+    ],
+  };
+  const media = extractMedia(urlNode);
+  assert.deepStrictEqual(media.images, [{ loc: 'https://example.com/a.jpg', deprecatedTags: ['caption'] }]);
+  assert.strictEqual(media.videos[0].title, 'Title');
+  assert.strictEqual(media.videos[0].duration, '60');
+  assert.deepStrictEqual(media.news, [
+    {
+      hasPublication: true,
+      publicationName: 'Daily',
+      publicationLanguage: 'en',
+      publicationDate: '2024-05-31',
+      title: 'Headline',
+    },
+  ]);
+});
+
+test('validateMedia reports missing image locations and deprecated tags', () => {
+  assert.deepStrictEqual(
+    issuesOf({ images: [{ loc: '', deprecatedTags: [] }, { loc: 'https://example.com/a.jpg', deprecatedTags: ['title'] }] }),
+    ['image:loc: Missing required image:loc', 'image:title: Deprecated tag (ignored by Google)']
+  );
+});
+
+test('validateMedia checks the required video fields and their ranges', () => {
+  assert.deepStrictEqual(issuesOf({ videos: [VIDEO] }), []);
+  assert.deepStrictEqual(issuesOf({ videos: [{ ...VIDEO, title: '', contentLoc: '' }] }), [
+    'video:title: Missing required video:title',
+    'video:content_loc: Missing video:content_loc or video:player_loc',
+  ]);
+  assert.deepStrictEqual(issuesOf({ videos: [{ ...VIDEO, contentLoc: PAGE, duration: '30000', rating: '6' }] }), [
+    'video:content_loc: video:content_loc is the same as the page URL',
+    'video:duration: Duration must be between 1 and 28800 seconds',
+    'video:rating: Rating must be between 0.0 and 5.0',
+  ]);
+  assert.deepStrictEqual(issuesOf({ videos: [{ ...VIDEO, expirationDate: '2024-01-01' }] }), [
+    'video:expiration_date: Video has expired',
+  ]);
+});
+
+test('validateMedia checks news publications and dates', () => {
+  const news = {
+    hasPublication: true,
+    publicationName: 'Daily',
+    publicationLanguage: 'zh-cn',
+    publicationDate: '2024-05-31T12:00:00Z',
+    title: 'Headline',
+  };
+  assert.deepStrictEqual(issuesOf({ news: [news] }), []);
+  assert.deepStrictEqual(issuesOf({ news: [{ ...news, publicationLanguage: 'english' }] }), [
+    'news:language: Not an ISO 639 language code',
+  ]);
+  assert.deepStrictEqual(issuesOf({ news: [{ ...news, publicationDate: '2024-05-01' }] }), [
+    'news:publication_date: Article is older than 2 days',
+  ]);
+  assert.deepStrictEqual(issuesOf({ news: [{ ...news, hasPublication: false, title: '' }] }), [
+    'news:publication: Missing required news:publication',
+    'news:title: Missing required news:title',
+  ]);
+});
+
+test('getMediaAssetUrls lists the image and video files to check', () => {
+  const media = {
+    images: [{ loc: 'https://example.com/a.jpg', deprecatedTags: [] }, { loc: '', deprecatedTags: [] }],
+    videos: [VIDEO],
+    news: [],
+  };
+  assert.deepStrictEqual(
+    getMediaAssetUrls(PAGE, media).map((asset) => `${asset.field} ${asset.url}`),
+    [
+      'image:loc https://example.com/a.jpg',
+      'video:content_loc https://example.com/video.mp4',
+      'video:thumbnail_loc https://example.com/thumb.jpg',
+    ]
+  );
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractUrlMetadata, validateEntryMetadata, validateSitemapMetadata } = require('../sitemap_metadata');
+
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+// Issues found for an entry, as "field: issue"
+function issuesOf(entry) {
+  return validateEntryMetadata({ loc: 'https://example.com/', ...entry }, NOW).map(
+    (issue) => `${issue.field}: ${issue.issue}`
+  );
+}
+
+test('extractUrlMetadata reads trimmed text, with or without attributes', () => {
+  const urlNode = {
+    loc: [' https://example.com/ '],
+    lastmod: [{ _: '2024-01-01', $: { note: 'x' } }],
+    priority: ['0.5'],
+  };
+  assert.deepStrictEqual(extractUrlMetadata(urlNode), {
+    loc: 'https://example.com/',
+    lastmod: '2024-01-01',
+    changefreq: '',
+    priority: '0.5',
+  });
+});
+
+test('validateEntryMetadata accepts every W3C datetime precision', () => {
+  for (const lastmod of ['2024', '2024-05', '2024-05-31', '2024-05-31T10:00Z', '2024-05-31T10:00:30.5+02:00']) {
+    assert.deepStrictEqual(issuesOf({ lastmod }), [], lastmod);
+  }
+});
+
+test('validateEntryMetadata rejects malformed, impossible and future dates', () => {
+  assert.deepStrictEqual(issuesOf({ lastmod: '31/05/2024' }), ['lastmod: Not a valid W3C datetime']);
+  // A time without a time zone designator is not W3C
+  assert.deepStrictEqual(issuesOf({ lastmod: '2024-05-31T10:00' }), ['lastmod: Not a valid W3C datetime']);
+  assert.deepStrictEqual(issuesOf({ lastmod: '2024-02-30' }), ['lastmod: Not a valid W3C datetime']);
+  assert.deepStrictEqual(issuesOf({ lastmod: '2024-06-01T12:00Z' }), []);
+  assert.deepStrictEqual(issuesOf({ lastmod: '2024-06-03' }), ['lastmod: Date is in the future']);
+});
+
+test('validateEntryMetadata checks changefreq and priority', () => {
+  assert.deepStrictEqual(issuesOf({ changefreq: 'Weekly', priority: '1.0' }), []);
+  assert.deepStrictEqual(issuesOf({ changefreq: 'biweekly' }), ['changefreq: Unknown changefreq value']);
+  assert.deepStrictEqual(issuesOf({ priority: 'high' }), ['priority: Priority is not a number']);
+  assert.deepStrictEqual(issuesOf({ priority: '1.5' }), ['priority: Priority outside 0.0-1.0']);
+});
+
+test('validateSitemapMetadata flags a lastmod shared by every URL', () => {
+  const entries = [
+    { loc: 'https://example.com/a', lastmod: '2024-01-01' },
+    { loc: 'https://example.com/b', lastmod: '2024-01-01' },
+  ];
+  const { sitemapIssues, allIssues } = validateSitemapMetadata(entries, 'https://example.com/sitemap.xml');
+  assert.deepStrictEqual(sitemapIssues, [
+    {
+      url: 'https://example.com/sitemap.xml',
+      field: 'lastmod',
+      value: '2024-01-01',
+      issue: 'All 2 URLs share the same lastmod',
+    },
+  ]);
+  assert.strictEqual(allIssues.length, 1);
+
+  entries.push({ loc: 'https://example.com/c', lastmod: '2024-01-02' });
+  assert.deepStrictEqual(validateSitemapMetadata(entries, 'https://example.com/sitemap.xml').sitemapIssues, []);
+});
+
+test('validateSitemapMetadata groups entry issues by URL', () => {
+  const { issuesByUrl } = validateSitemapMetadata(
+    [
+      { loc: 'https://example.com/a', changefreq: 'sometimes', priority: '2' },
+      { loc: 'https://example.com/b', priority: '0.1' },
+    ],
+    'https://example.com/sitemap.xml'
+  );
+  assert.deepStrictEqual(Array.from(issuesByUrl.keys()), ['https://example.com/a']);
+  assert.strictEqual(issuesByUrl.get('https://example.com/a').length, 2);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SITEMAP_NAMESPACE,
+  MAX_URLS_PER_SITEMAP,
+  validateSitemapProtocol,
+  createProtocolValidator,
+} = require('../sitemap_protocol');
+
+const SITEMAP = {
+  sitemapUrl: 'https://example.com/sitemap.xml',
+  type: 'sitemap',
+  urls: ['https://example.com/a'],
+  namespace: SITEMAP_NAMESPACE,
+  uncompressedSize: 1000,
+};
+
+// Violations found for a sitemap, as "rule (severity)"
+function rulesOf(overrides) {
+  return validateSitemapProtocol({ ...SITEMAP, ...overrides }).map((violation) => `${violation.rule} (${violation.severity})`);
+}
+
+test('validateSitemapProtocol accepts a valid sitemap', () => {
+  assert.deepStrictEqual(rulesOf({}), []);
+  // A trailing slash on the namespace is tolerated
+  assert.deepStrictEqual(rulesOf({ namespace: `${SITEMAP_NAMESPACE}/` }), []);
+});
+
+test('validateSitemapProtocol enforces the size limits', () => {
+  const urls = Array.from({ length: MAX_URLS_PER_SITEMAP + 1 }, (value, i) => `https://example.com/${i}`);
+  assert.deepStrictEqual(rulesOf({ urls }), ['too-many-urls (Error)']);
+  assert.deepStrictEqual(rulesOf({ uncompressedSize: 60 * 1024 * 1024 }), ['file-too-large (Error)']);
+  const longUrl = `https://example.com/${'a'.repeat(2048)}`;
+  assert.deepStrictEqual(rulesOf({ urls: [longUrl] }), ['url-too-long (Error)']);
+});
+
+test('validateSitemapProtocol checks the namespace of XML sitemaps only', () => {
+  assert.deepStrictEqual(rulesOf({ namespace: '' }), ['missing-xmlns (Error)']);
+  assert.deepStrictEqual(rulesOf({ namespace: 'http://www.google.com/schemas/sitemap/0.84' }), ['wrong-xmlns (Error)']);
+  assert.deepStrictEqual(rulesOf({ namespace: '', format: 'rss' }), []);
+});
+
+test('validateSitemapProtocol reports relative and badly escaped URLs', () => {
+  assert.deepStrictEqual(rulesOf({ urls: ['/a'] }), ['relative-url (Error)']);
+  assert.deepStrictEqual(rulesOf({ urls: ['https://example.com/a b'] }), ['unescaped-url (Error)']);
+  assert.deepStrictEqual(rulesOf({ urls: ['https://example.com/100%'] }), ['unescaped-url (Error)']);
+  assert.deepStrictEqual(rulesOf({ urls: ['https://example.com/a?b=1&c=%20'] }), []);
+});
+
+test('validateSitemapProtocol reports URLs on another host or scheme', () => {
+  assert.deepStrictEqual(rulesOf({ urls: ['http://cdn.example.com/a'] }), ['different-host (Error)', 'different-scheme (Error)']);
+  // Sitemap indexes may list cross-submitted sitemaps on other hosts
+  assert.deepStrictEqual(rulesOf({ type: 'index', urls: ['https://other.example.com/sitemap.xml'] }), ['different-host (Warning)']);
+  // Local sitemaps have no host to compare with
+  assert.deepStrictEqual(rulesOf({ sitemapUrl: 'file:///tmp/sitemap.xml', urls: ['http://cdn.example.com/a'] }), []);
+});
+
+test('validateSitemapProtocol reports sitemap indexes nested in another index', () => {
+  const violations = validateSitemapProtocol({
+    ...SITEMAP,
+    type: 'index',
+    urls: [],
+    parentIndexUrl: 'https://example.com/index.xml',
+  });
+  assert.deepStrictEqual(violations, [
+    {
+      sitemapUrl: SITEMAP.sitemapUrl,
+      url: '',
+      rule: 'nested-sitemap-index',
+      severity: 'Error',
+      details: 'Sitemap index is listed in another sitemap index (https://example.com/index.xml)',
+    },
+  ]);
+});
+
+test('validateSitemapProtocol reports the "&" not escaped in the XML', () => {
+  const violations = validateSitemapProtocol({
+    ...SITEMAP,
+    urls: ['https://example.com/?a=1&b=2'],
+    entityErrors: [{ loc: 'https://example.com/?a=1&b=2', element: 'loc', message: 'Invalid character in entity name' }],
+  });
+  assert.deepStrictEqual(violations, [
+    {
+      sitemapUrl: SITEMAP.sitemapUrl,
+      url: 'https://example.com/?a=1&b=2',
+      rule: 'unescaped-url',
+      severity: 'Error',
+      details: 'Invalid character in entity name in <loc>: "&" must be written &amp;',
+    },
+  ]);
+});
+
+test('createProtocolValidator checks the URLs of a streamed urlset one at a time', () => {
+  const validator = createProtocolValidator(SITEMAP.sitemapUrl);
+  for (let i = 0; i <= MAX_URLS_PER_SITEMAP; i++) {
+    validator.add(i === 0 ? '/relative' : `https://example.com/${i}`);
+  }
+  const { sitemapUrl, urls, ...sitemapFields } = SITEMAP;
+  const violations = validator.finish(sitemapFields);
+  assert.deepStrictEqual(
+    violations.map((violation) => `${violation.rule} ${violation.url}`),
+    ['too-many-urls ', 'relative-url /relative']
+  );
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONVENTION, getUrlVariantKey, analyzeUrlConsistency } = require('../url_consistency');
+
+test('getUrlVariantKey ignores protocol, www and trailing slash', () => {
+  const key = getUrlVariantKey('https://www.example.com/page/');
+  assert.strictEqual(key, 'example.com/page');
+  assert.strictEqual(getUrlVariantKey('http://Example.com/page'), key);
+  // Files never take a trailing slash, so it is kept in their key
+  assert.notStrictEqual(getUrlVariantKey('https://example.com/file.pdf/'), getUrlVariantKey('https://example.com/file.pdf'));
+  assert.strictEqual(getUrlVariantKey('not a url'), null);
+});
+
+test('analyzeUrlConsistency finds the dominant conventions', () => {
+  const { conventions, findings } = analyzeUrlConsistency(
+    ['https://www.example.com/a/', 'https://www.example.com/b/', 'https://blog.example.org/c/', 'https://www.example.com/'],
+    new Map()
+  );
+  assert.strictEqual(conventions.protocol, CONVENTION.HTTPS);
+  assert.strictEqual(conventions.slash, CONVENTION.SLASH);
+  assert.strictEqual(conventions.hosts.get('example.com'), CONVENTION.WWW);
+  // The www convention is decided per site
+  assert.strictEqual(conventions.hosts.get('blog.example.org'), CONVENTION.BARE);
+  assert.deepStrictEqual(findings, []);
+});
+
+test('analyzeUrlConsistency reports URLs breaking the conventions', () => {
+  const urls = [
+    'https://www.example.com/a',
+    'https://www.example.com/b',
+    'https://www.example.com/c',
+    'http://example.com/d/',
+  ];
+  const statusByUrl = new Map([
+    ['http://example.com/d/', { status: 301, redirectUrl: 'https://www.example.com/d', finalUrl: 'https://www.example.com/d', redirectHops: 1 }],
+  ]);
+  const { findings } = analyzeUrlConsistency(urls, statusByUrl);
+  assert.deepStrictEqual(findings, [
+    {
+      url: 'http://example.com/d/',
+      issues: ['Protocol: http instead of https', 'Host: bare domain instead of www', 'Trailing slash: trailing slash instead of no trailing slash'],
+      conformingUrl: 'https://www.example.com/d',
+      status: 301,
+      redirectsToConforming: 'Yes',
+      otherVariants: [],
+    },
+  ]);
+});
+
+test('analyzeUrlConsistency describes redirects that miss the conforming URL', () => {
+  const urls = ['https://example.com/a', 'https://example.com/b', 'http://example.com/c', 'http://example.com/d'];
+  const statusByUrl = new Map([
+    ['http://example.com/c', { status: 200 }],
+    ['http://example.com/d', { status: 302, redirectUrl: '/elsewhere', finalUrl: 'https://example.com/elsewhere' }],
+  ]);
+  const redirects = analyzeUrlConsistency(urls, statusByUrl).findings.map((finding) => finding.redirectsToConforming);
+  assert.deepStrictEqual(redirects, ['No (200)', 'No (redirects to https://example.com/elsewhere)']);
+});
+
+test('analyzeUrlConsistency reports URLs listed in several variants', () => {
+  const { findings } = analyzeUrlConsistency(
+    ['https://example.com/a', 'https://example.com/a/', 'https://example.com/b', 'https://example.com/c'],
+    new Map()
+  );
+  assert.deepStrictEqual(
+    findings.map(({ url, issues, otherVariants }) => ({ url, issues, otherVariants })),
+    [
+      { url: 'https://example.com/a', issues: ['Listed in several variants'], otherVariants: ['https://example.com/a/'] },
+      {
+        url: 'https://example.com/a/',
+        issues: ['Trailing slash: trailing slash instead of no trailing slash'],
+        otherVariants: ['https://example.com/a'],
+      },
+    ]
+  );
+});
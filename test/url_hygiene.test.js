@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkUrlHygiene, analyzeUrlHygiene, countUrlHygieneRules } = require('../url_hygiene');
+const { loadSitemap } = require('../sitemap_loader');
+
+// Rule IDs found for a URL
+function rulesOf(url, options) {
+  return checkUrlHygiene(url, options).map((finding) => finding.rule);
+}
+
+test('checkUrlHygiene accepts clean URLs', () => {
+  assert.deepStrictEqual(rulesOf('https://example.com/products/shoes?page=2'), []);
+  assert.deepStrictEqual(rulesOf('https://example.com/caf%C3%A9'), []);
+});
+
+test('checkUrlHygiene reports tracking and session parameters', () => {
+  const findings = checkUrlHygiene('https://example.com/page?utm_source=news&gclid=1&PHPSESSID=abc');
+  assert.deepStrictEqual(
+    findings.map(({ rule, severity, details }) => ({ rule, severity, details })),
+    [
+      { rule: 'tracking-parameter', severity: 'Warning', details: 'Parameters: utm_source gclid' },
+      { rule: 'session-parameter', severity: 'Error', details: 'Parameters: PHPSESSID' },
+    ]
+  );
+  assert.deepStrictEqual(rulesOf('https://example.com/page;jsessionid=ABC'), ['session-parameter']);
+});
+
+test('checkUrlHygiene reports fragments, double slashes and bad escaping', () => {
+  assert.deepStrictEqual(rulesOf('https://example.com/page#section'), ['fragment']);
+  assert.deepStrictEqual(rulesOf('https://example.com/a//b'), ['double-slash']);
+  assert.deepStrictEqual(rulesOf('https://example.com/a b'), ['unescaped-space']);
+  assert.deepStrictEqual(rulesOf('https://example.com/a&b?c=1&d=2'), ['unescaped-ampersand']);
+  assert.deepStrictEqual(rulesOf('https://example.com/café'), ['non-ascii-character']);
+  assert.deepStrictEqual(rulesOf('https://bücher.example/'), ['idn-not-punycode']);
+});
+
+test('checkUrlHygiene sees the "&" written raw in the sitemap XML', async () => {
+  const sitemap = await loadSitemap('<urlset><url><loc>https://example.com/a&b/?c=1&d=2</loc></url></urlset>');
+  assert.deepStrictEqual(sitemap.urls, ['https://example.com/a&b/?c=1&d=2']);
+  assert.deepStrictEqual(rulesOf(sitemap.urls[0]), ['unescaped-ampersand']);
+});
+
+test('checkUrlHygiene reports uppercase paths on case-insensitive hosts only', () => {
+  const url = 'https://example.com/Products/Shoes%C3%A9;jsessionid=ABC';
+  assert.ok(!rulesOf(url).includes('uppercase-path'));
+  const finding = checkUrlHygiene(url, { caseInsensitiveHosts: new Set(['example.com']) }).find(
+    (candidate) => candidate.rule === 'uppercase-path'
+  );
+  // Percent-encoded bytes and path parameters keep their case
+  assert.strictEqual(finding.details, 'Lowercase version: /products/shoes%C3%A9;jsessionid=ABC');
+});
+
+test('checkUrlHygiene reports overly long URLs', () => {
+  const url = `https://example.com/${'a'.repeat(40)}`;
+  assert.deepStrictEqual(rulesOf(url, { maxLength: 50 }), ['long-url']);
+  assert.deepStrictEqual(rulesOf(url), []);
+});
+
+test('checkUrlHygiene leaves relative URLs to the protocol validation', () => {
+  assert.deepStrictEqual(rulesOf('/relative#fragment'), []);
+});
+
+test('analyzeUrlHygiene checks each URL once and countUrlHygieneRules counts by rule', () => {
+  const findings = analyzeUrlHygiene([
+    'https://example.com/a#x',
+    'https://example.com/a#x',
+    'https://example.com/b?utm_medium=email#y',
+  ]);
+  assert.strictEqual(findings.length, 3);
+  assert.deepStrictEqual(countUrlHygieneRules(findings), { fragment: 2, 'tracking-parameter': 1 });
+});
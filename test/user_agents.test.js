@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  USER_AGENT_PROFILES,
+  getUserAgentProfile,
+  parseUserAgentArgs,
+  compareProfileResponses,
+} = require('../user_agents');
+
+test('getUserAgentProfile looks profiles up by name', () => {
+  const profile = getUserAgentProfile('bingbot');
+  assert.strictEqual(profile.name, 'bingbot');
+  assert.strictEqual(profile.label, 'Bingbot');
+  assert.match(profile.userAgent, /bingbot\/2\.0/);
+  assert.throws(() => getUserAgentProfile('yahoo'), /Unknown user-agent profile "yahoo", expected one of: googlebot-smartphone/);
+});
+
+test('parseUserAgentArgs reads the profile and the profiles to compare', () => {
+  const defaults = parseUserAgentArgs(['https://example.com/sitemap.xml'], 'googlebot-desktop');
+  assert.strictEqual(defaults.profile.name, 'googlebot-desktop');
+  assert.deepStrictEqual(defaults.compareProfiles, []);
+
+  const chosen = parseUserAgentArgs(['--user-agent=googlebot-smartphone', '--compare-user-agents= bingbot,desktop-browser'], 'googlebot-desktop');
+  assert.strictEqual(chosen.profile.name, 'googlebot-smartphone');
+  assert.deepStrictEqual(chosen.compareProfiles.map((profile) => profile.name), ['bingbot', 'desktop-browser']);
+
+  const all = parseUserAgentArgs(['--compare-user-agents'], 'googlebot-desktop');
+  assert.deepStrictEqual(all.compareProfiles.map((profile) => profile.name), Object.keys(USER_AGENT_PROFILES));
+
+  assert.throws(() => parseUserAgentArgs(['--compare-user-agents=bingbot,nobot'], 'googlebot-desktop'), /"nobot"/);
+});
+
+test('compareProfileResponses lists what differs between profiles', () => {
+  const same = { status: 200, redirectTarget: '', robots: '' };
+  assert.deepStrictEqual(compareProfileResponses([same, { ...same }]), []);
+  assert.deepStrictEqual(
+    compareProfileResponses([same, { status: 302, redirectTarget: 'https://m.example.com/', robots: '' }]),
+    ['Status', 'Redirect target']
+  );
+  assert.deepStrictEqual(compareProfileResponses([same, { ...same, robots: 'noindex' }]), ['Robots directives']);
+});
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getRedirectType } = require('./redirects');
 
 // Usage: node update_opportunity.js <existing-opportunity-file> <new-suggestions-file>
 
@@ -61,6 +62,7 @@ try {
           error: null,
           urlsSuggested: suggestion.urlSuggested,
           statusCode: parseInt(suggestion.status, 10),
+          redirectType: suggestion.redirectType || getRedirectType(suggestion.status) || null,
         },
         createdAt: now,
         updatedAt: now,
@@ -0,0 +1,210 @@
+// Consistency of the URLs of a sitemap: one protocol, one www/bare host style and one
+// trailing-slash style, so every page is listed under a single variant
+
+const { isRedirectStatus } = require('./redirects');
+
+// Last path segments with an extension (page.html, file.pdf) never take a trailing slash
+const FILE_SEGMENT_PATTERN = /\.[a-z0-9]{1,5}$/i;
+
+const CONVENTION = {
+  HTTPS: 'https',
+  HTTP: 'http',
+  WWW: 'www',
+  BARE: 'bare domain',
+  SLASH: 'trailing slash',
+  NO_SLASH: 'no trailing slash',
+};
+
+/**
+ * Removes a leading "www." from a hostname
+ * @param {string} hostname - Hostname
+ * @returns {string} - Hostname without www
+ */
+function stripWww(hostname) {
+  return hostname.replace(/^www\./i, '');
+}
+
+/**
+ * Tells whether the trailing-slash convention applies to a path: not to the root, nor to files
+ * @param {string} pathname - URL path
+ * @returns {boolean} - True if the path may or may not end with a slash
+ */
+function hasSlashVariant(pathname) {
+  const trimmed = pathname.replace(/\/$/, '');
+  return trimmed !== '' && !FILE_SEGMENT_PATTERN.test(trimmed.split('/').pop());
+}
+
+/**
+ * Reads the protocol, host and trailing-slash style of a URL
+ * @param {URL} url - Parsed URL
+ * @returns {Object} - { protocol, host, slash }, slash being null when it does not apply
+ */
+function getUrlStyle(url) {
+  return {
+    protocol: url.protocol === 'https:' ? CONVENTION.HTTPS : CONVENTION.HTTP,
+    host: /^www\./i.test(url.hostname) ? CONVENTION.WWW : CONVENTION.BARE,
+    slash: hasSlashVariant(url.pathname)
+      ? url.pathname.endsWith('/')
+        ? CONVENTION.SLASH
+        : CONVENTION.NO_SLASH
+      : null,
+  };
+}
+
+/**
+ * Builds the key shared by every variant of a URL: protocol, www and trailing slash ignored
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - Variant key, or null if the URL cannot be parsed
+ */
+function getUrlVariantKey(url) {
+  try {
+    const parsedUrl = new URL(url);
+    const pathname = hasSlashVariant(parsedUrl.pathname) ? parsedUrl.pathname.replace(/\/$/, '') : parsedUrl.pathname;
+    return `${stripWww(parsedUrl.hostname).toLowerCase()}${parsedUrl.port ? `:${parsedUrl.port}` : ''}${pathname}${parsedUrl.search}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Picks the most common value, ties going to the preferred value or else to the first seen
+ * @param {Array<string>} values - Observed values
+ * @param {string} preferred - Value winning ties
+ * @returns {string|null} - Dominant value, or null if there are no values
+ */
+function getDominant(values, preferred) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let dominant = null;
+  for (const [value, count] of counts) {
+    const best = dominant === null ? 0 : counts.get(dominant);
+    if (count > best || (count === best && value === preferred)) {
+      dominant = value;
+    }
+  }
+  return dominant;
+}
+
+/**
+ * Rewrites a URL to follow the conventions
+ * @param {URL} url - Parsed URL
+ * @param {Object} conventions - { protocol, host, slash }
+ * @returns {string} - Conforming URL
+ */
+function toConformingUrl(url, conventions) {
+  const conforming = new URL(url.href);
+  conforming.protocol = conventions.protocol === CONVENTION.HTTPS ? 'https:' : 'http:';
+  const bareHost = stripWww(conforming.hostname);
+  conforming.hostname = conventions.host === CONVENTION.WWW ? `www.${bareHost}` : bareHost;
+  if (hasSlashVariant(conforming.pathname) && conventions.slash) {
+    const trimmed = conforming.pathname.replace(/\/$/, '');
+    conforming.pathname = conventions.slash === CONVENTION.SLASH ? `${trimmed}/` : trimmed;
+  }
+  return conforming.href;
+}
+
+/**
+ * Tells whether a non-conforming URL redirects to its conforming variant
+ * @param {Object|undefined} result - Status check result ({ status, redirectUrl, finalUrl, redirectHops })
+ * @param {string} url - Non-conforming URL
+ * @param {string} conformingUrl - URL it should redirect to
+ * @returns {string} - 'Yes', 'Yes (N hops)', 'No (...)' or '' when the URL was not checked
+ */
+function describeRedirect(result, url, conformingUrl) {
+  if (!result) return '';
+  if (!isRedirectStatus(result.status)) {
+    return `No (${result.status || result.errorCategory})`;
+  }
+  let target = '';
+  try {
+    target = new URL(result.redirectUrl, url).href;
+  } catch (error) {
+    return 'No (invalid Location header)';
+  }
+  if (target === conformingUrl) return 'Yes';
+  if (result.finalUrl === conformingUrl) return `Yes (${result.redirectHops} hops)`;
+  return `No (redirects to ${result.finalUrl || target})`;
+}
+
+/**
+ * Finds the dominant protocol, host and trailing-slash conventions of a sitemap and the URLs
+ * that break them or are listed in several variants
+ * @param {Array<string>} urls - URLs of the sitemap
+ * @param {Map<string, Object>} statusByUrl - Status check results by URL
+ * @returns {Object} - { conventions, findings }: conventions as { protocol, hosts, slash }
+ *   (hosts by bare domain), findings as { url, issues, conformingUrl, status,
+ *   redirectsToConforming, otherVariants }
+ */
+function analyzeUrlConsistency(urls, statusByUrl) {
+  const parsedUrls = [];
+  for (const url of urls) {
+    try {
+      parsedUrls.push({ url, parsed: new URL(url) });
+    } catch (error) {
+      // Relative or invalid URLs are reported by the sitemap protocol validation
+    }
+  }
+
+  // The www convention is decided per site: blog.example.com is not a variant of www.example.com
+  const hostStylesByDomain = new Map();
+  const styles = parsedUrls.map(({ parsed }) => {
+    const style = getUrlStyle(parsed);
+    const domain = stripWww(parsed.hostname).toLowerCase();
+    if (!hostStylesByDomain.has(domain)) hostStylesByDomain.set(domain, []);
+    hostStylesByDomain.get(domain).push(style.host);
+    return style;
+  });
+  const conventions = {
+    protocol: getDominant(styles.map((style) => style.protocol), CONVENTION.HTTPS),
+    hosts: new Map(
+      Array.from(hostStylesByDomain, ([domain, hostStyles]) => [domain, getDominant(hostStyles, CONVENTION.WWW)])
+    ),
+    slash: getDominant(styles.map((style) => style.slash).filter(Boolean), CONVENTION.NO_SLASH),
+  };
+
+  const urlsByVariant = new Map();
+  for (const { url } of parsedUrls) {
+    const key = getUrlVariantKey(url);
+    if (!urlsByVariant.has(key)) urlsByVariant.set(key, new Set());
+    urlsByVariant.get(key).add(url);
+  }
+
+  const findings = [];
+  parsedUrls.forEach(({ url, parsed }, i) => {
+    const style = styles[i];
+    const hostConvention = conventions.hosts.get(stripWww(parsed.hostname).toLowerCase());
+    const issues = [];
+    if (style.protocol !== conventions.protocol) {
+      issues.push(`Protocol: ${style.protocol} instead of ${conventions.protocol}`);
+    }
+    if (style.host !== hostConvention) {
+      issues.push(`Host: ${style.host} instead of ${hostConvention}`);
+    }
+    if (style.slash && conventions.slash && style.slash !== conventions.slash) {
+      issues.push(`Trailing slash: ${style.slash} instead of ${conventions.slash}`);
+    }
+    const otherVariants = Array.from(urlsByVariant.get(getUrlVariantKey(url))).filter((other) => other !== url);
+    if (issues.length === 0 && otherVariants.length === 0) return;
+
+    const conformingUrl = toConformingUrl(parsed, { ...conventions, host: hostConvention });
+    const result = statusByUrl.get(url);
+    findings.push({
+      url,
+      issues: issues.length > 0 ? issues : ['Listed in several variants'],
+      conformingUrl,
+      status: result ? result.status || result.errorCategory : '',
+      redirectsToConforming: issues.length > 0 ? describeRedirect(result, url, conformingUrl) : '',
+      otherVariants,
+    });
+  });
+
+  return { conventions, findings };
+}
+
+module.exports = {
+  CONVENTION,
+  getUrlVariantKey,
+  analyzeUrlConsistency,
+};
@@ -0,0 +1,156 @@
+// URL hygiene of sitemap <loc> values: shapes that create duplicate or non-canonical URLs
+// (tracking parameters, session IDs, fragments, mixed case, double slashes, bad escaping...)
+
+const { SEVERITY } = require('./sitemap_protocol');
+
+const LONG_URL_THRESHOLD = 200; // Characters above which a URL is reported as overly long
+
+// Query parameters that only track campaigns or clicks, utm_* being matched by prefix
+const TRACKING_PARAMETERS = ['gclid', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'mc_cid', 'mc_eid', '_ga'];
+const TRACKING_PARAMETER_PREFIXES = ['utm_'];
+
+// Query or path (;jsessionid=) parameters carrying a session ID
+const SESSION_PARAMETERS = ['sessionid', 'session_id', 'jsessionid', 'phpsessid', 'aspsessionid'];
+
+const URL_HYGIENE_RULES = {
+  'tracking-parameter': 'Tracking parameter in query string',
+  'session-parameter': 'Session ID in URL',
+  fragment: 'URL contains a fragment',
+  'uppercase-path': 'Uppercase characters in path on a case-insensitive host',
+  'double-slash': 'Double slash in path',
+  'unescaped-space': 'Unescaped space',
+  'unescaped-ampersand': 'Unescaped & outside the query string',
+  'non-ascii-character': 'Non-ASCII characters not percent-encoded',
+  'idn-not-punycode': 'Internationalized host not in punycode',
+  'long-url': 'Overly long URL',
+};
+
+/**
+ * Splits a URL as written into scheme, host and the rest, before any normalization by URL
+ * @param {string} url - URL as written in the sitemap
+ * @returns {Object|null} - { authority, path, query, fragment } as written, or null if not absolute
+ */
+function splitRawUrl(url) {
+  const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]*)([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/is.exec(url);
+  if (!match) return null;
+  return {
+    authority: match[1],
+    path: match[2],
+    query: match[3] === undefined ? null : match[3],
+    fragment: match[4] === undefined ? null : match[4],
+  };
+}
+
+/**
+ * Checks the shape of one sitemap URL
+ * @param {string} url - URL as written in the sitemap
+ * @param {Object} options - Analysis options
+ * @param {Set<string>} options.caseInsensitiveHosts - Hostnames that serve the same page
+ *   whatever the case of the path (e.g. IIS servers)
+ * @param {number} options.maxLength - Length above which a URL is overly long
+ * @returns {Array<Object>} - Findings as { url, rule, severity, details }
+ */
+function checkUrlHygiene(url, { caseInsensitiveHosts = new Set(), maxLength = LONG_URL_THRESHOLD } = {}) {
+  const findings = [];
+  const addFinding = (rule, severity, details) => findings.push({ url, rule, severity, details });
+
+  const raw = splitRawUrl(url);
+  // Relative or invalid URLs are reported by the sitemap protocol validation
+  if (!raw) return findings;
+
+  if (/[^\x00-\x7F]/.test(raw.authority)) {
+    addFinding('idn-not-punycode', SEVERITY.ERROR, `Host ${raw.authority} should be written in punycode`);
+  }
+  const rest = `${raw.path}${raw.query !== null ? `?${raw.query}` : ''}${raw.fragment !== null ? `#${raw.fragment}` : ''}`;
+  const nonAscii = rest.match(/[^\x00-\x7F]/g);
+  if (nonAscii) {
+    addFinding('non-ascii-character', SEVERITY.ERROR, `Not percent-encoded: ${Array.from(new Set(nonAscii)).join(' ')}`);
+  }
+  if (/\s/.test(url)) {
+    addFinding('unescaped-space', SEVERITY.ERROR, 'Spaces must be encoded as %20');
+  }
+  if (raw.path.includes('&') || (raw.fragment || '').includes('&')) {
+    addFinding('unescaped-ampersand', SEVERITY.WARNING, '& outside the query string should be encoded as %26');
+  }
+  if (raw.fragment !== null) {
+    addFinding('fragment', SEVERITY.WARNING, `#${raw.fragment} is ignored by crawlers`);
+  }
+  if (raw.path.includes('//')) {
+    addFinding('double-slash', SEVERITY.WARNING, `Path ${raw.path}`);
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return findings;
+  }
+
+  // Percent-encoded bytes (%C3%A9) and path parameters (;jsessionid=ABC) keep their case
+  const lowercasePath = raw.path.replace(/(%[0-9a-f]{2}|;[^/]*)|[A-Z]/gi, (match, kept) => kept || match.toLowerCase());
+  if (caseInsensitiveHosts.has(parsedUrl.hostname.toLowerCase()) && lowercasePath !== raw.path) {
+    addFinding('uppercase-path', SEVERITY.WARNING, `Lowercase version: ${lowercasePath}`);
+  }
+
+  const trackingParameters = [];
+  const sessionParameters = [];
+  for (const name of parsedUrl.searchParams.keys()) {
+    const lowerName = name.toLowerCase();
+    if (
+      TRACKING_PARAMETERS.includes(lowerName) ||
+      TRACKING_PARAMETER_PREFIXES.some((prefix) => lowerName.startsWith(prefix))
+    ) {
+      trackingParameters.push(name);
+    } else if (SESSION_PARAMETERS.includes(lowerName)) {
+      sessionParameters.push(name);
+    }
+  }
+  // Java servers append the session to the path: /page;jsessionid=ABC
+  const pathSession = /;(jsessionid|sessionid|phpsessid)=/i.exec(raw.path);
+  if (pathSession) {
+    sessionParameters.push(`;${pathSession[1]}`);
+  }
+  if (trackingParameters.length > 0) {
+    addFinding('tracking-parameter', SEVERITY.WARNING, `Parameters: ${Array.from(new Set(trackingParameters)).join(' ')}`);
+  }
+  if (sessionParameters.length > 0) {
+    addFinding('session-parameter', SEVERITY.ERROR, `Parameters: ${Array.from(new Set(sessionParameters)).join(' ')}`);
+  }
+
+  if (url.length > maxLength) {
+    addFinding('long-url', SEVERITY.WARNING, `${url.length} characters (threshold is ${maxLength})`);
+  }
+
+  return findings;
+}
+
+/**
+ * Checks the shape of every URL of a sitemap
+ * @param {Array<string>} urls - URLs as written in the sitemap
+ * @param {Object} options - See checkUrlHygiene
+ * @returns {Array<Object>} - Findings as { url, rule, severity, details }, one rule ID each
+ */
+function analyzeUrlHygiene(urls, options = {}) {
+  return Array.from(new Set(urls)).flatMap((url) => checkUrlHygiene(url, options));
+}
+
+/**
+ * Counts findings per rule
+ * @param {Array<Object>} findings - Findings as returned by analyzeUrlHygiene
+ * @returns {Object} - Number of findings for each rule found, e.g. { 'tracking-parameter': 3 }
+ */
+function countUrlHygieneRules(findings) {
+  const counts = {};
+  for (const finding of findings) {
+    counts[finding.rule] = (counts[finding.rule] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  LONG_URL_THRESHOLD,
+  URL_HYGIENE_RULES,
+  checkUrlHygiene,
+  analyzeUrlHygiene,
+  countUrlHygieneRules,
+};
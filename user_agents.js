@@ -0,0 +1,96 @@
+// Named user-agent profiles the crawler can present itself as, and the comparison of the
+// responses a site serves to each of them (cloaking, mobile redirects, bot-only blocks)
+
+const USER_AGENT_PROFILES = {
+  'googlebot-smartphone': {
+    label: 'Googlebot Smartphone',
+    userAgent:
+      'Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.6778.139 Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+  },
+  'googlebot-desktop': {
+    label: 'Googlebot Desktop',
+    userAgent:
+      'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Googlebot/2.1; +http://www.google.com/bot.html) Chrome/131.0.6778.139 Safari/537.36',
+  },
+  bingbot: {
+    label: 'Bingbot',
+    userAgent:
+      'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm) Chrome/131.0.0.0 Safari/537.36',
+  },
+  'desktop-browser': {
+    label: 'Desktop Browser',
+    userAgent:
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+  },
+  'mobile-browser': {
+    label: 'Mobile Browser',
+    userAgent:
+      'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Mobile Safari/537.36',
+  },
+};
+
+/**
+ * Looks up a user-agent profile by name
+ * @param {string} name - Profile name, e.g. googlebot-smartphone
+ * @returns {Object} - { name, label, userAgent }
+ * @throws {Error} - If no profile has that name
+ */
+function getUserAgentProfile(name) {
+  const profile = USER_AGENT_PROFILES[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown user-agent profile "${name}", expected one of: ${Object.keys(USER_AGENT_PROFILES).join(', ')}`
+    );
+  }
+  return { name, ...profile };
+}
+
+/**
+ * Reads the user-agent options given on the command line:
+ *   --user-agent=<profile>                 profile used for every request
+ *   --compare-user-agents[=<profile>,...]  also request each URL with these profiles (all by default)
+ * @param {Array<string>} args - Command-line arguments (process.argv.slice(2))
+ * @param {string} defaultProfile - Profile used when --user-agent is not given
+ * @returns {Object} - { profile, compareProfiles }: profiles as returned by getUserAgentProfile,
+ *   compareProfiles being empty when the comparison is off
+ */
+function parseUserAgentArgs(args, defaultProfile) {
+  let profileName = defaultProfile;
+  let compareNames = [];
+  for (const arg of args) {
+    const profileMatch = /^--user-agent=(.+)$/.exec(arg);
+    const compareMatch = /^--compare-user-agents(?:=(.+))?$/.exec(arg);
+    if (profileMatch) {
+      profileName = profileMatch[1];
+    } else if (compareMatch) {
+      compareNames = compareMatch[1]
+        ? compareMatch[1].split(',').map((name) => name.trim()).filter(Boolean)
+        : Object.keys(USER_AGENT_PROFILES);
+    }
+  }
+  return {
+    profile: getUserAgentProfile(profileName),
+    compareProfiles: compareNames.map(getUserAgentProfile),
+  };
+}
+
+/**
+ * Lists what differs between the responses served to several profiles for one URL
+ * @param {Array<Object>} responses - One per profile: { status, redirectTarget, robots }
+ * @returns {Array<string>} - Differences found, empty if every profile got the same response
+ */
+function compareProfileResponses(responses) {
+  const differs = (field) => new Set(responses.map((response) => response[field])).size > 1;
+  const differences = [];
+  if (differs('status')) differences.push('Status');
+  if (differs('redirectTarget')) differences.push('Redirect target');
+  if (differs('robots')) differences.push('Robots directives');
+  return differences;
+}
+
+module.exports = {
+  USER_AGENT_PROFILES,
+  getUserAgentProfile,
+  parseUserAgentArgs,
+  compareProfileResponses,
+};